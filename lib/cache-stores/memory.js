@@ -0,0 +1,79 @@
+'use strict';
+const Promise = require('bluebird');
+
+/**
+ * Keeps cached responses in memory
+ */
+class MemoryCacheStore {
+  /**
+   * @constructor
+   * @param {Object} [options] - Store options
+   * @param {number} [options.maxSize=1000] - Maximum amount of entries,
+   * the oldest entries are removed first
+   */
+  constructor(options = {}) {
+    this._maxSize = options.maxSize || 1000;
+    this._entries = new Map();
+  }
+
+  /**
+   * Get cached value.
+   * Resolves with `undefined` if the value is missing or expired
+   *
+   * @param {string} key
+   * @return {Promise}
+   */
+  get(key) {
+    let entry = this._entries.get(key);
+    if (entry && entry.expires <= Date.now()) {
+      this._entries.delete(key);
+      entry = null;
+    }
+
+    return Promise.resolve(entry ? entry.value : undefined);
+  }
+
+  /**
+   * Cache value
+   *
+   * @param {string} key
+   * @param {*} value
+   * @param {number} ttl - Time to live in milliseconds
+   * @return {Promise}
+   */
+  set(key, value, ttl) {
+    this._entries.delete(key);
+    this._entries.set(key, {value, expires: Date.now() + ttl});
+
+    if (this._entries.size > this._maxSize) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+
+    return Promise.resolve();
+  }
+
+  /**
+   * Remove cached value
+   *
+   * @param {string} key
+   * @return {Promise}
+   */
+  delete(key) {
+    this._entries.delete(key);
+
+    return Promise.resolve();
+  }
+
+  /**
+   * Remove all cached values
+   *
+   * @return {Promise}
+   */
+  clear() {
+    this._entries.clear();
+
+    return Promise.resolve();
+  }
+}
+
+module.exports = MemoryCacheStore;
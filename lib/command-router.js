@@ -0,0 +1,482 @@
+'use strict';
+const models = require('./models');
+const errors = require('./common/errors');
+const EventEmitter = require('events').EventEmitter;
+const Promise = require('bluebird');
+
+const tokenRegexp = /"([^"]*)"|'([^']*)'|(\S+)/g;
+const numberRegexp = /^-?\d+(\.\d+)?$/;
+
+/**
+ * Routes chat messages starting with a prefix to registered commands
+ *
+ * @extends EventEmitter
+ */
+class CommandRouter extends EventEmitter {
+  /**
+   * @constructor
+   * @param {DubtrackAPI} api
+   * @param {Object} [options] - Router options
+   * @param {string} [options.prefix=!] - Prefix of the commands
+   * @param {boolean} [options.help=true] - Register `help` command
+   * @param {boolean} [options.ignoreSelf=true] - Ignore messages sent by
+   * logged in user
+   */
+  constructor(api, options = {}) {
+    super();
+
+    this._api = api;
+    this._prefix = options.prefix || '!';
+    this._ignoreSelf = options.ignoreSelf !== false;
+    this._commands = new Map();
+    this._aliases = new Map();
+    this._cooldowns = new Map();
+    this._selfId = null;
+
+    this._onMessage = (event) => {
+      this._handle(event).catch((err) => this._onError(err));
+    };
+    this._onLogin = () => {
+      this._selfId = null;
+    };
+
+    api.on('chat-message', this._onMessage)
+      .on('login', this._onLogin);
+
+    if (options.help !== false) {
+      this.register('help', {
+        aliases: ['commands'],
+        description: 'Shows available commands or help for the command',
+        usage: '[command]',
+      }, (context) => this._help(context));
+    }
+  }
+
+  /**
+   * Processes error
+   *
+   * @param {Error} err - Error
+   * @private
+   */
+  _onError(err) {
+    if (this.listeners('error').length) {
+      this.emit('error', err);
+    } else {
+      this._api._onError(err);
+    }
+  }
+
+  /**
+   * Register command.
+   * Names and aliases are case-insensitive
+   *
+   * @param {string} name - Command name without prefix
+   * @param {Object} [options] - Command options
+   * @param {string[]} [options.aliases] - Alternative names of the command
+   * @param {string} [options.description] - Description used by `help`
+   * @param {string} [options.usage] - Arguments description used by `help`
+   * @param {string} [options.right] - Required right in the room,
+   * see `Role.hasRight`
+   * @param {string} [options.role] - Minimum role type in the room,
+   * see `Role.isAtLeast`. Room owner passes both `right` and `role` checks
+   * @param {number|Object} [options.cooldown] - Per-user cooldown in
+   * milliseconds or object with `user` and `global` cooldowns
+   * @param {Function} handler - Handler receiving command context
+   * @return {CommandRouter}
+   */
+  register(name, options, handler) {
+    if (typeof options == 'function') {
+      handler = options;
+      options = {};
+    }
+    if (typeof handler != 'function') {
+      throw new TypeError(`Handler of command "${name}" is not a function`);
+    }
+
+    let cooldown = options.cooldown || {};
+    if (typeof cooldown == 'number') {
+      cooldown = {user: cooldown};
+    }
+
+    name = name.toLowerCase();
+    let aliases = (options.aliases || []).map((alias) => alias.toLowerCase());
+
+    this.unregister(name);
+    this._commands.set(name, {
+      name,
+      handler,
+      aliases,
+      description: options.description || '',
+      usage: options.usage || '',
+      right: options.right || null,
+      role: options.role || null,
+      cooldown: {user: cooldown.user || 0, global: cooldown.global || 0},
+    });
+
+    for (let alias of aliases) {
+      this._aliases.set(alias, name);
+    }
+
+    return this;
+  }
+
+  /**
+   * Unregister command and its aliases
+   *
+   * @param {string} name - Command name without prefix
+   * @return {CommandRouter}
+   */
+  unregister(name) {
+    name = name.toLowerCase();
+    let command = this._commands.get(name);
+    if (!command) {
+      return this;
+    }
+
+    for (let alias of command.aliases) {
+      this._aliases.delete(alias);
+    }
+    this._commands.delete(name);
+
+    return this;
+  }
+
+  /**
+   * Get registered command by its name or alias
+   *
+   * @param {string} name - Command name or alias without prefix
+   * @return {Object|null}
+   */
+  getCommand(name) {
+    name = name.toLowerCase();
+    name = this._aliases.get(name) || name;
+
+    return this._commands.get(name) || null;
+  }
+
+  /**
+   * Stop handling chat messages
+   */
+  destroy() {
+    this._api.removeListener('chat-message', this._onMessage)
+      .removeListener('login', this._onLogin);
+  }
+
+  /**
+   * Split arguments string into tokens, keeping quoted strings together
+   *
+   * @param {string} text - Arguments string
+   * @return {Object[]}
+   * @private
+   */
+  _tokenize(text) {
+    let tokens = [];
+    let match;
+
+    tokenRegexp.lastIndex = 0;
+    while ((match = tokenRegexp.exec(text)) !== null) {
+      if (match[3] === undefined) {
+        tokens.push({value: match[1] !== undefined ? match[1] : match[2],
+          quoted: true});
+      } else {
+        tokens.push({value: match[3], quoted: false});
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Convert token to number or user if possible.
+   * Mentions of unknown users are resolved to `null`
+   *
+   * @param {Object} token
+   * @return {Promise}
+   * @private
+   */
+  _resolveToken(token) {
+    if (token.quoted) {
+      return Promise.resolve(token.value);
+    }
+    if (numberRegexp.test(token.value)) {
+      return Promise.resolve(Number(token.value));
+    }
+    if (token.value.length > 1 && token.value[0] == '@') {
+      return this._api.getUser(token.value.slice(1), {raw: false})
+        .catch(() => null);
+    }
+
+    return Promise.resolve(token.value);
+  }
+
+  /**
+   * Get role of the message author in the room and whether the author
+   * owns the room. Role is null if the author is not present in the room
+   *
+   * @param {Object} event - Chat message event
+   * @param {ChatMessage} message
+   * @return {Promise}
+   * @private
+   */
+  _getRights(event, message) {
+    let roomUser = (event.raw || event).queue_object;
+    let getRoomUser = (roomUser) ? Promise.resolve(roomUser) :
+        this._api.getRoomUser(message.roomId, message.userId, {raw: true})
+          .catch(errors.NotFoundError, () => null);
+
+    let joined = this._api.getJoinedRooms()
+      .find((room) => room.id == message.roomId);
+    let getOwnerId = (joined) ? Promise.resolve(joined.user.id) :
+        this._api.getRoom(message.roomId, {raw: true})
+          .then((room) => room.userid);
+
+    return Promise.all([getRoomUser, getOwnerId])
+      .spread((object, ownerId) => ({
+        role: (object) ? new models.RoomUser(object, this._api).role : null,
+        isOwner: ownerId == message.userId,
+      }));
+  }
+
+  /**
+   * Checks whether the command can be run by the user with the rights.
+   * Room owner can run all commands
+   *
+   * @param {Object} command
+   * @param {Object|null} rights - Result of `_getRights`, can be null
+   * if the command requires no rights
+   * @return {boolean}
+   * @private
+   */
+  _isAllowed(command, rights) {
+    if (!command.right && !command.role) {
+      return true;
+    }
+    if (rights.isOwner) {
+      return true;
+    }
+    if (!rights.role) {
+      return false;
+    }
+
+    return (!command.right || rights.role.hasRight(command.right)) &&
+        (!command.role || rights.role.isAtLeast(command.role));
+  }
+
+  /**
+   * Get ID of logged in user
+   *
+   * @return {Promise}
+   * @private
+   */
+  _getSelfId() {
+    if (this._selfId || !this._ignoreSelf || !this._api.isAuthorized()) {
+      return Promise.resolve(this._selfId);
+    }
+
+    return this._api.getMe({raw: true}).then((session) => {
+      this._selfId = session._id;
+      return this._selfId;
+    });
+  }
+
+  /**
+   * Removes expired cooldowns
+   *
+   * @param {number} now - Current time
+   * @private
+   */
+  _forgetCooldowns(now) {
+    for (let entry of this._cooldowns) {
+      if (entry[1] <= now) {
+        this._cooldowns.delete(entry[0]);
+      }
+    }
+  }
+
+  /**
+   * Check and update cooldowns of the command.
+   * Returns remaining time in milliseconds or 0 if the command can be run
+   *
+   * @param {Object} command
+   * @param {string} userId - ID of the message author
+   * @return {number}
+   * @private
+   */
+  _useCooldown(command, userId) {
+    let now = Date.now();
+    this._forgetCooldowns(now);
+
+    let userKey = `${command.name}:${userId}`;
+    let globalKey = command.name;
+    let userEnds = (this._cooldowns.get(userKey) || 0);
+    let globalEnds = (this._cooldowns.get(globalKey) || 0);
+    let remaining = Math.max(userEnds, globalEnds) - now;
+
+    if (remaining > 0) {
+      return remaining;
+    }
+
+    if (command.cooldown.user) {
+      this._cooldowns.set(userKey, now + command.cooldown.user);
+    }
+    if (command.cooldown.global) {
+      this._cooldowns.set(globalKey, now + command.cooldown.global);
+    }
+
+    return 0;
+  }
+
+  /**
+   * Create context passed to command handler
+   *
+   * @param {Object} command
+   * @param {string} name - Used name or alias
+   * @param {Object} event - Chat message event
+   * @param {ChatMessage} message
+   * @param {Object[]} tokens
+   * @param {Array} args - Resolved arguments
+   * @return {Object}
+   * @private
+   */
+  _createContext(command, name, event, message, tokens, args) {
+    let api = this._api;
+
+    return {
+      api,
+      router: this,
+      event,
+      command: command.name,
+      alias: name,
+      message,
+      user: message.user,
+      userId: message.userId,
+      roomId: message.roomId,
+      args,
+      rawArgs: tokens.map((token) => token.value),
+      reply(text) {
+        return message.reply(text);
+      },
+      send(text) {
+        return api.sendMessage(message.roomId, text);
+      },
+      replyPrivately(text) {
+        return api.sendMessageToUser(message.userId, text);
+      },
+    };
+  }
+
+  /**
+   * Handle chat message
+   *
+   * @param {Object} event - Chat message event
+   * @return {Promise}
+   * @private
+   */
+  _handle(event) {
+    let message = event.chatMessage ||
+        new models.ChatMessage(event, this._api);
+    let text = (message.text || '').trim();
+
+    if (!text.startsWith(this._prefix)) {
+      return Promise.resolve();
+    }
+
+    let tokens = this._tokenize(text.slice(this._prefix.length));
+    if (!tokens.length || tokens[0].quoted) {
+      return Promise.resolve();
+    }
+
+    let name = tokens.shift().value.toLowerCase();
+    let command = this.getCommand(name);
+    if (!command) {
+      return Promise.resolve();
+    }
+
+    return this._getSelfId()
+      .then((selfId) => {
+        if (selfId && selfId == message.userId) {
+          return false;
+        }
+        if (!command.right && !command.role) {
+          return true;
+        }
+
+        return this._getRights(event, message).then((rights) => {
+          if (!this._isAllowed(command, rights)) {
+            this.emit('denied',
+                {command: command.name, message, role: rights.role});
+            return false;
+          }
+
+          return true;
+        });
+      })
+      .then((allowed) => {
+        if (!allowed) {
+          return;
+        }
+
+        let remaining = this._useCooldown(command, message.userId);
+        if (remaining) {
+          this.emit('cooldown', {command: command.name, message, remaining});
+          return;
+        }
+
+        return Promise.map(tokens, (token) => this._resolveToken(token))
+          .then((args) => {
+            let context = this._createContext(command, name, event, message,
+                tokens, args);
+
+            this.emit('command', context);
+
+            return command.handler(context);
+          });
+      });
+  }
+
+  /**
+   * Handler of `help` command
+   *
+   * @param {Object} context
+   * @return {Promise}
+   * @private
+   */
+  _help(context) {
+    if (context.rawArgs.length) {
+      let command = this.getCommand(context.rawArgs[0].toLowerCase());
+      if (!command) {
+        return context.reply(`Unknown command "${context.rawArgs[0]}"`);
+      }
+
+      let text = `${this._prefix}${command.name}`;
+      if (command.usage) {
+        text += ` ${command.usage}`;
+      }
+      if (command.description) {
+        text += ` - ${command.description}`;
+      }
+      if (command.aliases.length) {
+        text += ` (aliases: ${command.aliases.join(', ')})`;
+      }
+
+      return context.reply(text);
+    }
+
+    let commands = Array.from(this._commands.values());
+    let needsRights = commands.some((command) =>
+      command.right || command.role);
+    let getRights = (needsRights) ?
+        this._getRights(context.event, context.message) :
+        Promise.resolve(null);
+
+    return getRights.then((rights) => {
+      let names = commands
+        .filter((command) => this._isAllowed(command, rights))
+        .map((command) => this._prefix + command.name);
+
+      return context.reply(`Commands: ${names.join(', ')}`);
+    });
+  }
+}
+
+module.exports = CommandRouter;
@@ -1,5 +1,40 @@
 'use strict';
-exports.BaseError = class BaseError extends Error {};
+const redact = require('./utils').redact;
+
+exports.BaseError = class BaseError extends Error {
+  /**
+   *
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message);
+
+    this.method = null;
+    this.path = null;
+    this.status = null;
+    this.body = null;
+    this.isRetryable = false;
+  }
+
+  /**
+   * Adds context of the request which caused the error
+   *
+   * @param {Object} request
+   * @param {string} [request.method] - HTTP method
+   * @param {string} [request.path] - Requested path
+   * @param {number} [request.status] - HTTP status of the response
+   * @param {Object} [request.body] - Request body, secrets are redacted
+   * @return {BaseError}
+   */
+  setRequest(request) {
+    this.method = request.method || null;
+    this.path = request.path || null;
+    this.status = request.status || null;
+    this.body = (request.body === undefined) ? null : redact(request.body);
+
+    return this;
+  }
+};
 
 exports.FatalError = class FatalError extends exports.BaseError {
   /**
@@ -10,6 +45,7 @@ exports.FatalError = class FatalError extends exports.BaseError {
     if (error instanceof Error) {
       super(error.message);
       this.stack = error.stack;
+      this.cause = error;
     } else {
       super(error);
       Error.captureStackTrace(this);
@@ -28,6 +64,27 @@ exports.DubtrackError = class DubtrackError extends exports.BaseError {
 
     this.code = error.code;
     this.data = error.data;
+    this.isRetryable = error.code >= 500;
+  }
+};
+
+exports.NotFoundError = class NotFoundError extends exports.DubtrackError {};
+
+exports.ValidationError =
+  class ValidationError extends exports.DubtrackError {};
+
+exports.RateLimitError = class RateLimitError extends exports.DubtrackError {
+  /**
+   *
+   * @param {Object} error
+   * @param {number} [retryAfter] - Time in milliseconds to wait
+   * before the next request
+   */
+  constructor(error, retryAfter = null) {
+    super(error);
+
+    this.retryAfter = retryAfter;
+    this.isRetryable = true;
   }
 };
 
@@ -41,3 +98,49 @@ exports.AccessDeniedError = class AccessDeniedError extends exports.FatalError {
     Error.captureStackTrace(this);
   }
 };
+
+exports.PermissionError = class PermissionError extends exports.FatalError {
+  /**
+   *
+   * @param {string|null} right - Missing right, null if Dubtrack denied
+   * the request without telling it
+   * @param {string|null} roomId - Room ID
+   * @param {string} [message] - Message used instead of the default one
+   */
+  constructor(right, roomId, message) {
+    super(message || `Missing "${right}" right in room ${roomId}`);
+    Error.captureStackTrace(this);
+
+    this.right = right;
+    this.roomId = roomId;
+  }
+};
+
+exports.NetworkError = class NetworkError extends exports.FatalError {
+  /**
+   *
+   * @param {Error} error - Error of the connection
+   */
+  constructor(error) {
+    super(error);
+
+    this.code = error.code || null;
+    this.isRetryable = true;
+  }
+};
+
+exports.TimeoutError = class TimeoutError extends exports.NetworkError {};
+
+exports.ParseError = class ParseError extends exports.FatalError {
+  /**
+   *
+   * @param {string} body - Response body
+   * @param {number} status - HTTP status of the response
+   */
+  constructor(body, status) {
+    super(`Error parsing Dubtrack response: ${body}`);
+    Error.captureStackTrace(this);
+
+    this.isRetryable = status >= 500;
+  }
+};
@@ -0,0 +1,279 @@
+'use strict';
+const models = require('../models');
+
+/**
+ * Normalizes vote totals of the song attached to the event
+ *
+ * @param {Object} event
+ * @param {DubtrackAPI} api
+ */
+function processVotes(event, api) {
+  if (!event.playlist) {
+    return;
+  }
+
+  event.updubs = Number(event.playlist.updubs) || 0;
+  event.downdubs = Number(event.playlist.downdubs) || 0;
+  event.grabs = Number(event.playlist.grabs) || 0;
+  event.queueSong = new models.QueueSong(event.playlist, api);
+
+  delete event.playlist;
+}
+
+/**
+ * Turns `user` field into `User`
+ *
+ * @param {Object} event
+ * @param {DubtrackAPI} api
+ */
+function processUser(event, api) {
+  event.user = new models.User(event.user, api);
+}
+
+/**
+ * Builds normalization of moderation events: `user` is the target user,
+ * `moderator` is the user who made the action
+ *
+ * @param {string} targetField - Field of the target user in raw event
+ * @return {Function}
+ */
+function processModeration(targetField) {
+  return (event, api) => {
+    event.moderator = new models.User(event.user, api);
+    event.user = new models.User(event[targetField], api);
+
+    delete event[targetField];
+  };
+}
+
+/**
+ * Definitions of Dubtrack socket events.
+ * `type` is matched exactly and `match` is used for types containing IDs.
+ * `required` lists object fields the raw event should have,
+ * `normalize` turns raw fields into models
+ */
+const definitions = [
+  {
+    type: 'chat-message',
+    required: ['user'],
+    normalize(event, api) {
+      event.chatId = event.chatid;
+      event.user = new models.User(event.user, api);
+      event.time = new Date(event.time);
+      event.chatMessage = new models.ChatMessage(event.raw, api);
+      event.chatMessage.roomId = event.chatMessage.roomId || event.roomId;
+
+      delete event.chatid;
+    },
+  },
+  {
+    type: 'delete-chat-message',
+    required: ['user'],
+    normalize(event, api) {
+      event.chatId = event.chatid;
+      processUser(event, api);
+
+      delete event.chatid;
+    },
+  },
+  {
+    type: 'chat-skip',
+    required: ['user'],
+    normalize: processUser,
+  },
+  {
+    type: 'user-join',
+    required: ['user', 'roomUser'],
+    normalize(event, api) {
+      processUser(event, api);
+      event.roomUser = new models.RoomUser(event.roomUser, api);
+    },
+  },
+  {
+    type: 'user-leave',
+    required: ['user', 'room'],
+    normalize(event, api) {
+      processUser(event, api);
+      event.room = new models.Room(event.room, api);
+    },
+  },
+  {
+    type: 'user-ban',
+    required: ['user', 'kickedUser'],
+    normalize: processModeration('kickedUser'),
+  },
+  {
+    type: 'user-unban',
+    required: ['user', 'kickedUser'],
+    normalize: processModeration('kickedUser'),
+  },
+  {
+    type: 'user-kick',
+    required: ['user', 'kickedUser'],
+    normalize: processModeration('kickedUser'),
+  },
+  {
+    type: 'user-mute',
+    required: ['user', 'mutedUser'],
+    normalize: processModeration('mutedUser'),
+  },
+  {
+    type: 'user-unmute',
+    required: ['user', 'mutedUser'],
+    normalize: processModeration('mutedUser'),
+  },
+  {
+    // user-setrole, user-unsetrole and legacy user-setmanager and alike
+    type: 'user-setrole',
+    match: (type) => /^user-(un)?set/.test(type),
+    required: ['user', 'modUser'],
+    normalize(event, api) {
+      processUser(event, api);
+      event.moderator = new models.User(event.modUser, api);
+      event.role = (event.role) ? new models.Role(event.role) : null;
+
+      delete event.modUser;
+    },
+  },
+  {
+    type: 'user-pause-queue',
+    required: ['user'],
+    normalize(event, api) {
+      processUser(event, api);
+      processVotes(event, api);
+
+      if (event.user_queue) {
+        event.userQueue = new models.UserQueue(event.user_queue);
+        delete event.user_queue;
+      }
+    },
+  },
+  {
+    // user-update-{userId}, changes of profile
+    type: 'user-update',
+    match: (type) => type.includes('user-update'),
+    required: ['user'],
+    normalize: processUser,
+  },
+  {
+    // user_update_{roomId}, changes of room user
+    type: 'user_update',
+    match: (type) => type.includes('user_update'),
+    required: ['user'],
+    normalize(event, api) {
+      event.user = new models.RoomUser(event.user, api);
+    },
+  },
+  {
+    type: 'room_playlist-dub',
+    required: ['user'],
+    normalize(event, api) {
+      processUser(event, api);
+      event.direction = event.dubtype;
+      processVotes(event, api);
+
+      delete event.dubtype;
+    },
+  },
+  {
+    type: 'room_playlist-queue-update-dub',
+    required: ['user'],
+    normalize: processUser,
+  },
+  {
+    type: 'room_playlist-queue-update-grabs',
+    required: ['user'],
+    normalize(event, api) {
+      processUser(event, api);
+      processVotes(event, api);
+
+      if (event.user_queue) {
+        event.userQueue = new models.UserQueue(event.user_queue);
+        delete event.user_queue;
+      }
+    },
+  },
+  {
+    type: 'room_playlist-queue-reorder',
+    required: [],
+    normalize(event, api) {
+      event.user = (event.user) ? new models.User(event.user, api) : null;
+    },
+  },
+  {
+    type: 'room_playlist-update',
+    required: [],
+    normalize(event, api) {
+      // song and songInfo do not exist when the queue is empty
+      event.queueSong = null;
+      if (event.song) {
+        event.queueSong = new models.QueueSong(event.song, api);
+      }
+      event.song = null;
+      if (event.songInfo) {
+        event.song = new models.Song(event.songInfo);
+      }
+      delete event.songInfo;
+    },
+  },
+  {
+    // room-update and room_update_{roomId}
+    type: 'room-update',
+    match: (type) => type.includes('room-update') ||
+        type.includes('room_update'),
+    required: [],
+    normalize(event, api) {
+      event.room = (event.room) ? new models.Room(event.room, api) : null;
+    },
+  },
+  {
+    // private message, comes from the channel of logged in user
+    type: 'new-message',
+    required: ['user'],
+    normalize(event, api) {
+      event.messageId = event.messageid;
+      event.conversationId = event.conversationid;
+      processUser(event, api);
+
+      delete event.messageid;
+      delete event.conversationid;
+    },
+  },
+  {
+    // emitted by socket for presence changes in the room
+    type: 'presence',
+    required: [],
+    normalize() {},
+  },
+];
+
+/**
+ * Finds definition of the event type.
+ * Returns null for unknown types and events without type
+ *
+ * @param {string} type - Event type
+ * @return {Object|null}
+ */
+function find(type) {
+  if (typeof type != 'string') {
+    return null;
+  }
+
+  return definitions.find((definition) => (definition.match) ?
+      definition.match(type) : definition.type == type) || null;
+}
+
+/**
+ * Checks whether the raw event has all fields required by its definition.
+ * Returns name of the first missing field or null
+ *
+ * @param {Object} definition - Event definition
+ * @param {Object} event - Raw event
+ * @return {string|null}
+ */
+function validate(definition, event) {
+  return definition.required.find((field) =>
+    typeof event[field] != 'object' || event[field] == null) || null;
+}
+
+module.exports = {definitions, find, validate};
@@ -0,0 +1,85 @@
+'use strict';
+
+/**
+ * Builds unique key of the song
+ *
+ * @param {Object} entry - Object with `type` and `fkid`
+ * @return {string}
+ */
+function songKey(entry) {
+  return `${entry.type}:${entry.fkid}`;
+}
+
+module.exports.songKey = songKey;
+
+/**
+ * Builds removal entry of the playlist song
+ *
+ * @param {Object} object - Raw playlist song object
+ * @return {Object}
+ */
+function removal(object) {
+  return {
+    type: object._song.type,
+    fkid: object._song.fkid,
+    title: object._song.name || null,
+    id: object._id,
+  };
+}
+
+/**
+ * Plans changes converging current playlist songs to desired ones.
+ * Dubtrack API can not reorder playlist songs, so missing songs are added
+ * in manifest order and `ordered` tells whether kept songs follow it.
+ * Duplicates of kept songs are always removed
+ *
+ * @param {Object[]} current - Raw playlist song objects
+ * @param {Object[]} desired - Entries with `type` and `fkid`
+ * @param {Object} [options]
+ * @param {boolean} [options.prune=true] - Remove songs missing in manifest
+ * @return {Object}
+ */
+module.exports.diffPlaylist = function diffPlaylist(current, desired,
+    options = {}) {
+  let currentByKey = new Map();
+  for (let object of current) {
+    let key = songKey(object._song);
+    if (!currentByKey.has(key)) {
+      currentByKey.set(key, []);
+    }
+    currentByKey.get(key).push(object);
+  }
+
+  let desiredKeys = new Map();
+  for (let entry of desired) {
+    if (!desiredKeys.has(songKey(entry))) {
+      desiredKeys.set(songKey(entry), entry);
+    }
+  }
+
+  let add = [];
+  let remove = [];
+  let kept = [];
+
+  for (let entry of desiredKeys) {
+    if (!currentByKey.has(entry[0])) {
+      add.push({type: entry[1].type, fkid: entry[1].fkid,
+        title: entry[1].title || null});
+    }
+  }
+
+  for (let entry of currentByKey) {
+    if (desiredKeys.has(entry[0])) {
+      kept.push(entry[0]);
+      entry[1].slice(1).forEach((object) => remove.push(removal(object)));
+    } else if (options.prune !== false) {
+      entry[1].forEach((object) => remove.push(removal(object)));
+    }
+  }
+
+  let order = Array.from(desiredKeys.keys()).filter((key) =>
+    currentByKey.has(key));
+  let ordered = kept.every((key, index) => order[index] == key);
+
+  return {add, remove, unchanged: kept.length, ordered};
+};
@@ -0,0 +1,279 @@
+'use strict';
+const errors = require('./errors');
+
+const csvColumns = ['title', 'type', 'fkid', 'duration', 'added'];
+
+/**
+ * Builds URL of the song on its source
+ *
+ * @param {Object} entry
+ * @return {string}
+ */
+function buildSongURL(entry) {
+  if (entry.type == 'soundcloud') {
+    return `https://api.soundcloud.com/tracks/${entry.fkid}`;
+  }
+
+  return `https://www.youtube.com/watch?v=${entry.fkid}`;
+}
+
+/**
+ * Gets song source and ID from its URL
+ *
+ * @param {string} url
+ * @return {Object|null}
+ */
+function parseSongURL(url) {
+  let match = /(?:youtube\.com\/watch\?(?:.*&)?v=|youtu\.be\/)([\w-]+)/
+    .exec(url);
+  if (match) {
+    return {type: 'youtube', fkid: match[1]};
+  }
+
+  match = /soundcloud\.com\/tracks\/(\d+)/.exec(url);
+  if (match) {
+    return {type: 'soundcloud', fkid: match[1]};
+  }
+
+  return null;
+}
+
+/**
+ * Quotes CSV field if needed
+ *
+ * @param {*} value
+ * @return {string}
+ */
+function quoteCSV(value) {
+  value = (value === null || value === undefined) ? '' : String(value);
+
+  if (/[",\r\n]/.test(value)) {
+    return `"${value.replace(/"/g, '""')}"`;
+  }
+
+  return value;
+}
+
+/**
+ * Splits CSV text into rows of fields
+ *
+ * @param {string} text
+ * @return {Array.<string[]>}
+ */
+function parseCSVRows(text) {
+  let rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    let char = text[i];
+
+    if (quoted) {
+      if (char == '"' && text[i + 1] == '"') {
+        field += '"';
+        i++;
+      } else if (char == '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char == '"') {
+      quoted = true;
+    } else if (char == ',') {
+      row.push(field);
+      field = '';
+    } else if (char == '\n' || char == '\r') {
+      if (char == '\r' && text[i + 1] == '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field.length || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((row) => row.length > 1 || row[0] !== '');
+}
+
+/**
+ * Normalizes parsed entry
+ *
+ * @param {Object} entry
+ * @return {Object}
+ */
+function normalizeEntry(entry) {
+  if (!entry.type || !entry.fkid) {
+    throw new errors.FatalError(
+        `Song "${entry.title}" has no source type or ID`);
+  }
+
+  return {
+    title: entry.title || '',
+    type: String(entry.type),
+    fkid: String(entry.fkid),
+    duration: Number(entry.duration) || 0,
+    added: entry.added || null,
+  };
+}
+
+const formats = {
+  json: {
+    serialize(playlist) {
+      return JSON.stringify(playlist, null, 2);
+    },
+
+    parse(text) {
+      let playlist = JSON.parse(text);
+      let songs = Array.isArray(playlist) ? playlist : playlist.songs;
+
+      return {name: playlist.name || null, songs: songs.map(normalizeEntry)};
+    },
+  },
+
+  csv: {
+    serialize(playlist) {
+      let lines = [csvColumns.join(',')];
+
+      for (let entry of playlist.songs) {
+        lines.push(csvColumns.map((column) => quoteCSV(entry[column]))
+          .join(','));
+      }
+
+      return lines.join('\n') + '\n';
+    },
+
+    parse(text) {
+      let rows = parseCSVRows(text);
+      let header = rows.shift() || [];
+
+      return {
+        name: null,
+        songs: rows.map((row) => {
+          let entry = {};
+          header.forEach((column, index) => entry[column.trim()] = row[index]);
+
+          return normalizeEntry(entry);
+        }),
+      };
+    },
+  },
+
+  m3u: {
+    serialize(playlist) {
+      let lines = ['#EXTM3U'];
+      if (playlist.name) {
+        lines.push(`#PLAYLIST:${playlist.name}`);
+      }
+
+      for (let entry of playlist.songs) {
+        lines.push(`#EXTINF:${entry.duration || -1},${entry.title}`);
+        lines.push(`#DUBTRACK:${entry.type},${entry.fkid},${entry.added || ''}`); // eslint-disable-line max-len
+        lines.push(buildSongURL(entry));
+      }
+
+      return lines.join('\n') + '\n';
+    },
+
+    parse(text) {
+      let playlist = {name: null, songs: []};
+      let entry = {};
+
+      for (let line of text.split(/\r?\n/)) {
+        line = line.trim();
+
+        if (line.startsWith('#PLAYLIST:')) {
+          playlist.name = line.slice('#PLAYLIST:'.length);
+        } else if (line.startsWith('#EXTINF:')) {
+          let info = line.slice('#EXTINF:'.length);
+          let comma = info.indexOf(',');
+
+          entry.duration = Math.max(0, Number(info.slice(0, comma)) || 0);
+          entry.title = info.slice(comma + 1);
+        } else if (line.startsWith('#DUBTRACK:')) {
+          let fields = line.slice('#DUBTRACK:'.length).split(',');
+
+          entry.type = fields[0];
+          entry.fkid = fields[1];
+          entry.added = fields[2] || null;
+        } else if (line && !line.startsWith('#')) {
+          if (!entry.fkid) {
+            Object.assign(entry, parseSongURL(line));
+          }
+
+          playlist.songs.push(normalizeEntry(entry));
+          entry = {};
+        }
+      }
+
+      return playlist;
+    },
+  },
+};
+
+/**
+ * Gets format handlers
+ *
+ * @param {string} format - Format: json, csv or m3u
+ * @return {Object}
+ */
+function getFormat(format) {
+  if (!formats.hasOwnProperty(format)) {
+    throw new errors.FatalError(`Unknown playlist format "${format}"`);
+  }
+
+  return formats[format];
+}
+
+module.exports.formats = Object.keys(formats);
+
+module.exports.detect = function detect(text) {
+  text = text.trim();
+
+  if (text.startsWith('#EXTM3U')) {
+    return 'm3u';
+  }
+  if (text.startsWith('{') || text.startsWith('[')) {
+    return 'json';
+  }
+
+  return 'csv';
+};
+
+module.exports.fromPlaylistSong = function fromPlaylistSong(playlistSong) {
+  let song = playlistSong.song;
+
+  return {
+    title: song.name,
+    type: song.type,
+    fkid: song.fkid,
+    duration: Math.round((song.songLength || 0) / 1000),
+    added: isNaN(playlistSong.added) ? null : playlistSong.added.toISOString(),
+  };
+};
+
+module.exports.serialize = function serialize(playlist, format) {
+  return getFormat(format).serialize(playlist);
+};
+
+module.exports.parse = function parse(text, format) {
+  format = format || module.exports.detect(text);
+
+  try {
+    return getFormat(format).parse(text);
+  } catch (err) {
+    if (err instanceof errors.BaseError) {
+      throw err;
+    }
+
+    throw new errors.FatalError(`Error parsing ${format} playlist: ${err.message}`); // eslint-disable-line max-len
+  }
+};
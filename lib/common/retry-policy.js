@@ -0,0 +1,96 @@
+'use strict';
+const errors = require('./errors');
+
+const defaults = {
+  attempts: 3,
+  baseDelay: 500,
+  maxDelay: 10000,
+  jitter: 0.5,
+  statusCodes: [500, 502, 503, 504],
+  errorCodes: [
+    'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE',
+    'EAI_AGAIN',
+  ],
+  methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+};
+
+/**
+ * Decides which failed requests are retried and when
+ */
+class RetryPolicy {
+  /**
+   * @constructor
+   * @param {Object} [options] - Policy options
+   * @param {number} [options.attempts=3] - Maximum amount of attempts
+   * including the first one
+   * @param {number} [options.baseDelay=500] - Delay in milliseconds before
+   * the first retry, doubled for every next one
+   * @param {number} [options.maxDelay=10000] - Maximum delay in milliseconds
+   * @param {number} [options.jitter=0.5] - Part of the delay which is
+   * randomized, from 0 to 1
+   * @param {number[]} [options.statusCodes] - Retryable HTTP status codes
+   * @param {string[]} [options.errorCodes] - Retryable network error codes
+   * @param {string[]} [options.methods] - Retryable HTTP methods,
+   * POST is not retried by default because it is not idempotent
+   */
+  constructor(options = {}) {
+    Object.assign(this, defaults, options);
+  }
+
+  /**
+   * Creates policy with overridden options
+   *
+   * @param {Object} options - Options to override
+   * @return {RetryPolicy}
+   */
+  extend(options) {
+    return new RetryPolicy(Object.assign({}, this, options));
+  }
+
+  /**
+   * Checks whether failed request should be retried.
+   * Rate-limit errors are retried for any method, as the server
+   * did not process the request
+   *
+   * @param {Error} err - Error of the failed attempt
+   * @param {string} method - HTTP method
+   * @param {number} attempt - Number of the failed attempt
+   * @return {boolean}
+   */
+  shouldRetry(err, method, attempt) {
+    if (attempt >= this.attempts) {
+      return false;
+    }
+    if (err instanceof errors.RateLimitError) {
+      return true;
+    }
+
+    if (!err.isRetryable || !this.methods.includes(method.toUpperCase())) {
+      return false;
+    }
+
+    if (err instanceof errors.NetworkError) {
+      return this.errorCodes.includes(err.code);
+    }
+
+    return this.statusCodes.includes(err.status);
+  }
+
+  /**
+   * Get delay in milliseconds before the next attempt.
+   * It is not shorter than `retryAfter` of rate-limit error
+   *
+   * @param {number} attempt - Number of the failed attempt
+   * @param {Error} [err] - Error of the failed attempt
+   * @return {number}
+   */
+  getDelay(attempt, err) {
+    let delay = Math.min(this.maxDelay,
+        this.baseDelay * Math.pow(2, attempt - 1));
+    delay = Math.round(delay * (1 - this.jitter * Math.random()));
+
+    return Math.max(delay, (err && err.retryAfter) || 0);
+  }
+}
+
+module.exports = RetryPolicy;
@@ -5,6 +5,7 @@ let roles = {};
 roles['5615fa9ae596154a5c000000'] = {
   id: '5615fa9ae596154a5c000000',
   type: 'co-owner',
+  level: 6,
   name: 'Co-owner',
   rights: [
     'update-room',
@@ -25,6 +26,7 @@ roles['5615fa9ae596154a5c000000'] = {
 roles['5615fd84e596150061000003'] = {
   id: '5615fd84e596150061000003',
   type: 'manager',
+  level: 5,
   name: 'Manager',
   rights: [
     'set-roles',
@@ -43,6 +45,7 @@ roles['5615fd84e596150061000003'] = {
 roles['52d1ce33c38a06510c000001'] = {
   id: '52d1ce33c38a06510c000001',
   type: 'mod',
+  level: 4,
   name: 'Moderator',
   rights: [
     'skip',
@@ -59,6 +62,7 @@ roles['52d1ce33c38a06510c000001'] = {
 roles['5615fe1ee596154fc2000001'] = {
   id: '5615fe1ee596154fc2000001',
   type: 'vip',
+  level: 3,
   name: 'Vip',
   rights: [
     'skip',
@@ -68,6 +72,7 @@ roles['5615fe1ee596154fc2000001'] = {
 roles['resident-dj'] = roles['5615feb8e596154fc2000002'] = {
   id: '5615feb8e596154fc2000002',
   type: 'resident-dj',
+  level: 2,
   name: 'Resident DJ',
   rights: [],
 };
@@ -75,6 +80,7 @@ roles['resident-dj'] = roles['5615feb8e596154fc2000002'] = {
 roles['564435423f6ba174d2000001'] = {
   id: '564435423f6ba174d2000001',
   type: 'dj',
+  level: 1,
   name: 'DJ',
   rights: [],
 };
@@ -82,6 +88,7 @@ roles['564435423f6ba174d2000001'] = {
 roles[null] = roles[undefined] = {
   id: null,
   type: 'user',
+  level: 0,
   name: 'User',
   rights: [],
 };
@@ -0,0 +1,84 @@
+'use strict';
+/**
+ * Token bucket used to pace outgoing actions
+ */
+class TokenBucket {
+  /**
+   * @constructor
+   * @param {number} capacity - Maximum amount of tokens (burst size)
+   * @param {number} interval - Time in milliseconds to refill one token
+   */
+  constructor(capacity, interval) {
+    this.capacity = capacity;
+    this.interval = interval;
+    this._tokens = capacity;
+    this._updated = Date.now();
+    this._pausedUntil = 0;
+  }
+
+  /**
+   * Refills tokens according to elapsed time
+   *
+   * @private
+   */
+  _refill() {
+    let now = Date.now();
+    let refilled = Math.floor((now - this._updated) / this.interval);
+
+    if (refilled > 0) {
+      this._tokens = Math.min(this.capacity, this._tokens + refilled);
+      this._updated += refilled * this.interval;
+    }
+    if (this._tokens == this.capacity) {
+      this._updated = now;
+    }
+  }
+
+  /**
+   * Tries to take one token.
+   * Returns 0 if token was taken or time in milliseconds to wait otherwise
+   *
+   * @return {number}
+   */
+  take() {
+    let now = Date.now();
+    if (this._pausedUntil > now) {
+      return this._pausedUntil - now;
+    }
+
+    this._refill();
+    if (this._tokens > 0) {
+      this._tokens--;
+      return 0;
+    }
+
+    return Math.max(1, this._updated + this.interval - now);
+  }
+
+  /**
+   * Checks whether the bucket has all tokens and is not paused
+   *
+   * @return {boolean}
+   */
+  isFull() {
+    if (this._pausedUntil > Date.now()) {
+      return false;
+    }
+
+    this._refill();
+    return this._tokens == this.capacity;
+  }
+
+  /**
+   * Empties the bucket and forbids taking tokens for specified time
+   *
+   * @param {number} delay - Time in milliseconds
+   */
+  pause(delay) {
+    this._tokens = 0;
+    this._updated = Date.now();
+    this._pausedUntil = Math.max(this._pausedUntil, Date.now() + delay);
+  }
+}
+
+module.exports = TokenBucket;
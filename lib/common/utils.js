@@ -17,3 +17,57 @@ module.exports.replaceTemplates = function replaceTemplates(
     return replacements[p1];
   });
 };
+
+module.exports.splitText = function splitText(text, maxLength) {
+  let parts = [];
+  text = text.trim();
+
+  while (text.length > maxLength) {
+    let index = text.lastIndexOf(' ', maxLength);
+    if (index <= 0) {
+      index = maxLength; // single word is longer than the limit
+    }
+
+    parts.push(text.slice(0, index).trim());
+    text = text.slice(index).trim();
+  }
+
+  if (text.length || !parts.length) {
+    parts.push(text);
+  }
+
+  return parts;
+};
+
+module.exports.parseRetryAfter = function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value) * 1000;
+  }
+
+  let time = Date.parse(value);
+
+  return isNaN(time) ? null : Math.max(0, time - Date.now());
+};
+
+const secretKey = /pass|token|secret|cookie|auth|session/i;
+
+module.exports.redact = function redact(value) {
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+
+  if (value === null || typeof value != 'object') {
+    return value;
+  }
+
+  let copy = {};
+  for (let key of Object.keys(value)) {
+    copy[key] = (secretKey.test(key)) ? '[REDACTED]' : redact(value[key]);
+  }
+
+  return copy;
+};
@@ -1,20 +1,46 @@
 'use strict';
 const errors = require('./common/errors');
+const WsClientTransport = require('./transports/ws-client');
 const Promise = require('bluebird');
-const SocketClient = require('dubtrack-ws-client');
+
+const states = {
+  idle: 'idle',
+  connecting: 'connecting',
+  connected: 'connected',
+  reconnecting: 'reconnecting',
+  closed: 'closed',
+};
 
 /**
- * Handles Dubtrack websocket connections
+ * Handles Dubtrack websocket connections.
+ * Emits `statechange` on `DubtrackAPI` with new and previous state:
+ * idle, connecting, connected, reconnecting or closed.
+ * Emits `reconnected` with duration of the gap in milliseconds when
+ * connection is restored after a loss.
+ * With `heartbeat` option emits `stale` with health snapshot and reconnects
+ * when no events were received for too long
  */
 class DubtrackEvents {
   /**
    * @constructor
-   * @param {DubtrackAPI} api 
+   * @param {DubtrackAPI} api
    * @param {Object} options - Socket options
    * @param {boolean} [options.secure=true] - Use secure connection
    * @param {string} [options.host=ws.dubtrack.fm] - Socket host
    * @param {boolean} [options.autoReconnect=true] - Reconnect automatically
    * @param {number} [options.retriesAmount=7] - Amount of reconnect retries
+   * @param {boolean} [options.autoConnect=true] - Connect on creation
+   * @param {Object} [options.transport] - Transport to use instead of
+   * dubtrack-ws-client, see `DubtrackAPI.transports`
+   * @param {Function} [options.createClient] - Creates socket client with
+   * the interface of dubtrack-ws-client, for example
+   * `FakeSocketBackend#createClient` from `node-dubtrack-api/testing`
+   * @param {boolean|Object} [options.heartbeat=false] - Watch liveness of
+   * the connection
+   * @param {number} [options.heartbeat.interval=30000] - Interval
+   * in milliseconds between checks
+   * @param {number} [options.heartbeat.staleTimeout=600000] - Silence
+   * in milliseconds after which connection is considered stale
    */
   constructor(api, options) {
     this._api = api;
@@ -25,35 +51,182 @@ class DubtrackEvents {
       autoReconnect: true,
       retriesAmount: 7,
       transports: ['websocket'],
-    }, options, {
-      authCallback(data, callback) {
-        api.getToken()
-          .then((token) => callback(null, token))
-          .catch(callback);
-      },
-    });
+    }, options);
 
-    this._socket = new SocketClient(options);
-    this._socket.connection.on('connected', () => this._onConnected());
-    this._socket.connection.on('disconnected',
-        () => this._api.emit('disconnected'));
-    this._socket.connection.on('failed',
-        (message) => this._api.emit('failed', message));
+    this._options = options;
+    this._state = states.idle;
+    this._connecting = null;
+    this._disconnectedAt = null;
+    this._userChannel = null;
+    this._channels = new Map();
+    this._connectedAt = null;
+    this._lastEventAt = null;
+    this._latency = null;
+    this._reconnects = 0;
+    this._heartbeat = null;
+    this._heartbeatTimer = null;
+    if (options.heartbeat) {
+      this._heartbeat = Object.assign({
+        interval: 30000,
+        staleTimeout: 600000,
+      }, (typeof options.heartbeat == 'object') ? options.heartbeat : {});
+    }
 
-    if (this._api.isAuthorized()) {
-      this._socket.connection.once('connected', () => {
-        this._api.getMe({raw: false})
-          .then((session) => this._subscribe('user:' + session.id));
+    this._transport = options.transport || new WsClientTransport(options);
+    this._transport.on('connected', () => this._onConnected())
+      .on('disconnected', () => this._onDisconnected())
+      .on('failed', (message) => this._onFailed(message))
+      .on('latency', (latency) => {
+        this._latency = latency;
       });
+
+    if (this._api.isAuthorized()) {
+      this._api.once('connected', () => this._subscribeUser());
     }
 
     this._api.on('login', () => this._updateToken())
       .on('logout', () => this._updateToken());
+
+    if (options.autoConnect !== false) {
+      this.connect().catch(() => {}); // reported by `failed` event
+    }
+  }
+
+  /**
+   * Current connection state
+   *
+   * @return {string}
+   */
+  get state() {
+    return this._state;
+  }
+
+  /**
+   * Changes connection state and emits `statechange`
+   *
+   * @param {string} state - New state
+   * @private
+   */
+  _setState(state) {
+    let previous = this._state;
+    if (previous == state) {
+      return;
+    }
+
+    this._state = state;
+    if (state != states.connected) {
+      this._connectedAt = null;
+    }
+    if (state == states.closed) {
+      this._stopHeartbeat();
+    }
+
+    this._api.emit('statechange', state, previous);
+  }
+
+  /**
+   * Starts periodic liveness checks
+   *
+   * @private
+   */
+  _startHeartbeat() {
+    if (!this._heartbeat || this._heartbeatTimer) {
+      return;
+    }
+
+    this._heartbeatTimer = setInterval(() => this._checkHealth(),
+        this._heartbeat.interval);
+  }
+
+  /**
+   * Stops periodic liveness checks
+   *
+   * @private
+   */
+  _stopHeartbeat() {
+    clearInterval(this._heartbeatTimer);
+    this._heartbeatTimer = null;
+  }
+
+  /**
+   * Reconnects if no events were received for too long
+   *
+   * @private
+   */
+  _checkHealth() {
+    if (this._state != states.connected) {
+      return;
+    }
+
+    let silence = Date.now() -
+        Math.max(this._lastEventAt || 0, this._connectedAt);
+    if (silence < this._heartbeat.staleTimeout) {
+      return;
+    }
+
+    this._api.emit('stale', this.getHealth());
+    this._forceReconnect();
+  }
+
+  /**
+   * Opens connection again keeping subscriptions
+   *
+   * @param {Object} [token] - Token to connect with, requested if missing
+   * @private
+   */
+  _forceReconnect(token) {
+    this._disconnectedAt = Date.now();
+    this._setState(states.reconnecting);
+    this._api.emit('disconnected');
+    this._transport.close();
+
+    Promise.resolve(token || this._api.getToken())
+      .then((token) => {
+        if (this._state == states.reconnecting) {
+          this._transport.connect(token);
+        }
+      })
+      .catch((err) => this._onFailed(err.message));
+  }
+
+  /**
+   * Remembers time of the event received from the channel
+   *
+   * @param {string} channelName - Channel name
+   * @private
+   */
+  _touch(channelName) {
+    this._lastEventAt = Date.now();
+    this._channels.set(channelName, this._lastEventAt);
+  }
+
+  /**
+   * Get snapshot of connection health.
+   * Times are timestamps in milliseconds, null if unknown
+   *
+   * @return {Object}
+   */
+  getHealth() {
+    let now = Date.now();
+    let channels = Array.from(this._channels, (entry) => ({
+      name: entry[0],
+      lastEventAt: entry[1],
+      silence: (entry[1]) ? now - entry[1] : null,
+    }));
+
+    return {
+      state: this._state,
+      uptime: (this._connectedAt) ? now - this._connectedAt : 0,
+      reconnects: this._reconnects,
+      lastEventAt: this._lastEventAt,
+      latency: this._latency,
+      channels,
+    };
   }
 
   /**
    * Check whether the given channel is a presence channel
-   * 
+   *
    * @param {string} channelName
    * @return {boolean}
    * @private
@@ -64,87 +237,260 @@ class DubtrackEvents {
 
   /**
    * Process connection establishment
-   * 
+   *
    * @private
    */
   _onConnected() {
-    for (let channelName in this._socket.channels.all) {
-      if (this._socket.channels.all.hasOwnProperty(channelName)) {
-        let channel = this._socket.channels.get(channelName);
+    if (this._state == states.closed) {
+      this._transport.close(); // disconnected while connecting
+      return;
+    }
 
-        channel.attach();
+    let disconnectedAt = this._disconnectedAt;
+    this._disconnectedAt = null;
 
-        if (this._isPresenceChannel(channelName)) {
-          channel.presence.enter();
-        }
+    this._setState(states.connected);
+    this._connectedAt = Date.now();
+    this._startHeartbeat();
+    this._settleConnecting(null);
+    this._api.emit('connected');
+
+    if (disconnectedAt) {
+      this._reconnects++;
+      this._api.emit('reconnected', Date.now() - disconnectedAt);
+    }
+  }
+
+  /**
+   * Process connection loss
+   *
+   * @private
+   */
+  _onDisconnected() {
+    if (this._state == states.closed || this._state == states.idle) {
+      return;
+    }
+
+    if (this._options.autoReconnect) {
+      this._disconnectedAt = this._disconnectedAt || Date.now();
+      this._setState(states.reconnecting);
+    } else {
+      this._setState(states.closed);
+    }
+    this._api.emit('disconnected');
+  }
+
+  /**
+   * Process connection failure
+   *
+   * @param {string} message - Failure reason
+   * @private
+   */
+  _onFailed(message) {
+    this._disconnectedAt = null;
+    this._setState(states.closed);
+    this._settleConnecting(new errors.FatalError(
+        `Connection failed: ${message}`));
+    this._api.emit('failed', message);
+  }
+
+  /**
+   * Resolves or rejects pending `connect` call
+   *
+   * @param {Error|null} err
+   * @private
+   */
+  _settleConnecting(err) {
+    let connecting = this._connecting;
+    this._connecting = null;
+
+    if (connecting) {
+      if (err) {
+        connecting.reject(err);
+      } else {
+        connecting.resolve();
       }
     }
+  }
 
-    this._api.emit('connected');
+  /**
+   * Subscribe to the channel of logged in user
+   *
+   * @return {Promise}
+   * @private
+   */
+  _subscribeUser() {
+    return this._api.getMe({raw: false})
+      .then((session) => {
+        let channelName = 'user:' + session.id;
+        if (channelName == this._userChannel) {
+          return;
+        }
+
+        this._userChannel = channelName;
+
+        return this._subscribe(channelName);
+      })
+      .catch((err) => this._api._onError(err));
   }
 
   /**
-   * Reconnect websocket using new token
-   * 
+   * Pass new token to the transport after login or logout.
+   * Dubtrack socket reads token only on connection, so established
+   * connection is opened again keeping subscriptions and events missed
+   * meanwhile are backfilled after `reconnected`
+   *
    * @private
    */
   _updateToken() {
-    this._api.getToken().then((token) => {
-      this.disconnect();
+    if (this._state == states.idle || this._state == states.closed) {
+      return;
+    }
+
+    let userChannel = this._userChannel;
+    this._userChannel = null;
+    if (userChannel) {
+      this._unsubscribe(userChannel);
+    }
+
+    this._api.getToken()
+      .then((token) => {
+        if (this._state == states.idle || this._state == states.closed) {
+          return false;
+        }
+
+        if (this._state == states.connected) {
+          this._forceReconnect(token);
+        } else {
+          this._transport.setToken(token);
+        }
+
+        return this._waitForConnection();
+      })
+      .then((connected) => {
+        if (connected && this._api.isAuthorized()) {
+          return this._subscribeUser();
+        }
+      })
+      .catch((err) => this._api._onError(err));
+  }
 
-      this._socket.token = token.token;
-      this._socket.clientId = token.clientId;
+  /**
+   * Resolves with `true` when connection is established
+   * or with `false` when it is closed first
+   *
+   * @return {Promise}
+   * @private
+   */
+  _waitForConnection() {
+    return new Promise((resolve) => {
+      let onStateChange = (state) => {
+        if (state == states.connected || state == states.closed) {
+          this._api.removeListener('statechange', onStateChange);
+          resolve(state == states.connected);
+        }
+      };
 
-      this.connect();
+      this._api.on('statechange', onStateChange);
     });
   }
 
   /**
    * Subscribe to channel events
-   * 
+   *
    * @param {string} channelName - Channel name
    * @return {Promise}
    * @private
    */
   _subscribe(channelName) {
-    let channel = this._socket.channels.get(channelName);
+    let roomId = null;
+    let handlers = {
+      message: (data) => {
+        this._touch(channelName);
+        this._api.processEvents(data, roomId);
+      },
+    };
 
-    return Promise.fromCallback((next) => channel.attach(next))
-      .then(() => {
-        channel.subscribe((event) => this._api.processEvents(event.data));
+    if (this._isPresenceChannel(channelName)) {
+      roomId = channelName.slice('room:'.length);
+      handlers.presence = (data) => {
+        this._touch(channelName);
+        data.type = data.type || 'presence';
+        this._api.processEvents(data, roomId);
+      };
+    }
 
-        if (this._isPresenceChannel(channelName)) {
-          channel.presence.subscribe(['enter', 'leave'], (event) => {
-            event.data.type = event.data.type || 'presence';
-            this._api.processEvents(event.data);
-          });
+    return this._transport.subscribe(channelName, handlers)
+      .then(() => {
+        if (!this._channels.has(channelName)) {
+          this._channels.set(channelName, null);
         }
       });
   }
 
   /**
-   * Connect to websocket host
+   * Unsubscribe from channel events
+   *
+   * @param {string} channelName - Channel name
+   * @return {Promise}
+   * @private
+   */
+  _unsubscribe(channelName) {
+    this._channels.delete(channelName);
+
+    return this._transport.unsubscribe(channelName);
+  }
+
+  /**
+   * Connect to websocket host.
+   * Resolves when connection is established
+   *
+   * @return {Promise}
    */
   connect() {
-    if (this.isConnected()) {
-      Promise.reject(new errors.FatalError('Already connected'));
+    if (this._state == states.connected) {
+      return Promise.reject(new errors.FatalError('Already connected'));
     }
+    if (this._connecting) {
+      return this._connecting.promise;
+    }
+
+    let connecting = {};
+    connecting.promise = new Promise((resolve, reject) => {
+      connecting.resolve = resolve;
+      connecting.reject = reject;
+    });
+    this._connecting = connecting;
+    this._setState(states.connecting);
 
-    this._socket.connection.connect();
+    this._api.getToken()
+      .then((token) => {
+        if (this._connecting === connecting) {
+          this._transport.connect(token);
+        }
+      })
+      .catch((err) => {
+        if (this._connecting === connecting) {
+          this._onFailed(err.message);
+        }
+      });
+
+    return connecting.promise;
   }
 
   /**
    * Check whether websocket connection is established
-   * 
+   *
    * @return {boolean}
    */
   isConnected() {
-    return this._socket.connection.isConnected();
+    return this._state == states.connected;
   }
 
   /**
-   * Join to room
-   * 
+   * Join to room.
+   * Resolves with raw room object
+   *
    * @param {string} roomIdentifier - Room ID or URL-based name
    * @return {Promise}
    */
@@ -157,20 +503,39 @@ class DubtrackEvents {
       return Promise.reject(new errors.FatalError('Not connected'));
     }
 
-    return this._api.getRoom(roomIdentifier)
-      .then((room) => this._subscribe('room:' + room.id));
+    return this._api.getRoom(roomIdentifier, {raw: true})
+      .then((room) => this._subscribe('room:' + room._id).thenReturn(room));
   }
 
   /**
-   * Disconnect websocket
+   * Stop receiving events of the room
+   *
+   * @param {string} roomId - Room ID
+   * @return {Promise}
+   */
+  leave(roomId) {
+    return this._unsubscribe('room:' + roomId);
+  }
+
+  /**
+   * Disconnect websocket.
+   * Resolves when connection is closed
+   *
+   * @return {Promise}
    */
   disconnect() {
-    if (!this.isConnected()) {
-      Promise.reject(new errors.FatalError('Not connected'));
+    if (this._state == states.idle || this._state == states.closed) {
+      return Promise.reject(new errors.FatalError('Not connected'));
     }
 
-    this._socket.close();
+    this._setState(states.closed);
+    this._settleConnecting(new errors.FatalError('Connection was closed'));
+    this._transport.close();
+
+    return Promise.resolve();
   }
 }
 
+DubtrackEvents.states = states;
+
 module.exports = DubtrackEvents;
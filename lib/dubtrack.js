@@ -1,9 +1,25 @@
 'use strict';
 const DubtrackSocket = require('./dubtrack-socket');
+const CommandRouter = require('./command-router');
+const MessageQueue = require('./message-queue');
+const RoomHandle = require('./room-handle');
+const Paginator = require('./paginator');
+const PlaylistImporter = require('./playlist-importer');
+const HistoryRecorder = require('./history-recorder');
+const sessionStores = require('./session-stores');
+const RetryPolicy = require('./common/retry-policy');
+const RequestScheduler = require('./request-scheduler');
+const ResponseCache = require('./response-cache');
+const cacheStores = require('./cache-stores');
+const transports = require('./transports');
+const playlistFormats = require('./common/playlist-formats');
+const diffPlaylist = require('./common/playlist-diff').diffPlaylist;
 const endpoints = require('./common/endpoints');
+const events = require('./common/events');
 const models = require('./models');
 const errors = require('./common/errors');
 const replaceTemplates = require('./common/utils').replaceTemplates;
+const parseRetryAfter = require('./common/utils').parseRetryAfter;
 const EventEmitter = require('events').EventEmitter;
 const fs = require('fs');
 const streamedRequest = require('request');
@@ -12,6 +28,10 @@ const pump = require('pump');
 const request = require('request-promise');
 const lodash = require('lodash');
 
+const roomRightsTtl = 60000;
+// events changing roles or owner of the room
+const rightsEvents = /user_update|room[-_]update|^user-(un)?set/;
+
 /**
  * Basic class for interacting with Dubtrack API.
  * Holds authorization information and websocket connections
@@ -39,6 +59,13 @@ class DubtrackAPI extends EventEmitter {
    * automatically
    * @param {number} [options.socket.retriesAmount=7] - Amount of reconnect 
    * retries
+   * @param {Object} [options.socket.transport] - Socket transport to use
+   * instead of `dubtrack-ws-client`, see `DubtrackAPI.transports`.
+   * Connection state changes are emitted as `statechange` event
+   * @param {boolean|Object} [options.socket.heartbeat=false] - Emit `stale`
+   * and reconnect when no socket events were received for
+   * `staleTimeout` milliseconds (10 minutes by default), checking every
+   * `interval` milliseconds (30 seconds by default)
    * @param {boolean} [options.raw=false] - Do not process API requests and 
    *                                        return raw answers instead
    * @param {boolean} [options.onlyFirstMatch=false] - Stops comparing type
@@ -47,6 +74,32 @@ class DubtrackAPI extends EventEmitter {
    * (only for API, not sockets)
    * @param {string} [options.baseApiUrl=https://api.dubtrack.fm] - Base 
    * Dubtrack API URL
+   * @param {boolean|Object} [options.chatQueue=false] - Pace outgoing chat
+   * and private messages, see `MessageQueue` for available options
+   * @param {Object} [options.sessionStore] - Store to save session cookies
+   * to and restore them on start instead of logging in again,
+   * see `DubtrackAPI.sessionStores`
+   * @param {boolean|Object} [options.reauth=false] - Login again using
+   * `options.auth` when the session expires and replay failed requests
+   * @param {number} [options.reauth.attempts=3] - Amount of login attempts
+   * @param {number} [options.reauth.delay=1000] - Delay in milliseconds
+   * between login attempts
+   * @param {boolean|Object} [options.retry=false] - Retry requests failed
+   * because of network, server or rate-limit errors, see `RetryPolicy`
+   * for available options. Can be overridden for a single call by `retry`
+   * option of the method
+   * @param {boolean|Object} [options.scheduler=false] - Limit rate and
+   * concurrency of requests, see `RequestScheduler` for available options.
+   * Methods accept `priority` option: high, normal or low
+   * @param {Object} [options.traffic] - Records or replays requests and
+   * socket events, see `TrafficRecorder` and `TrafficReplayer` from
+   * `node-dubtrack-api/testing`
+   * @param {boolean|Object} [options.cache=false] - Cache users, rooms and
+   * room users, see `ResponseCache` for available options. Cached responses
+   * are removed when socket events tell that they changed
+   * @param {boolean} [options.backfill=true] - Fetch users, active song and
+   * queue of joined rooms after socket reconnection and emit them
+   * as `backfill` event, so events missed while offline can be reconciled
    */
   constructor(options = {}) {
     super();
@@ -56,15 +109,60 @@ class DubtrackAPI extends EventEmitter {
     this._options.raw = (typeof options.raw === 'boolean') ? options.raw : false; // eslint-disable-line max-len
     this._cookieJar = request.jar();
     this._regexpListeners = [];
+    this._rooms = new Map();
+    this._roomHandles = new Map();
+    this._realTimeChannels = new Map();
+    this._roomRights = new Map();
+    this._sessionStore = options.sessionStore || null;
+    this._reauthPromise = null;
+    this._retryPolicy = null;
+    if (options.retry) {
+      this._retryPolicy = new RetryPolicy(
+          (typeof options.retry == 'object') ? options.retry : {});
+    }
+    this._scheduler = null;
+    if (options.scheduler) {
+      this._scheduler = new RequestScheduler(
+          (typeof options.scheduler == 'object') ? options.scheduler : {});
+    }
+    this._traffic = options.traffic || null;
+    if (this._traffic && this._traffic.attach) {
+      this._traffic.attach(this);
+    }
+    this._cache = null;
+    if (options.cache) {
+      this._cache = new ResponseCache(
+          (typeof options.cache == 'object') ? options.cache : {});
+    }
+    this._chatQueue = null;
+    if (options.chatQueue) {
+      this._chatQueue = new MessageQueue(
+          (typeof options.chatQueue == 'object') ? options.chatQueue : {});
+    }
 
     this._authorized = false;
     this.on('login', () => {
       this._authorized = true;
+      this._roomRights.clear();
+      this._saveSession();
     }).on('logout', () => {
       this._authorized = false;
+      this._roomRights.clear();
+      this._clearSession();
     });
 
-    if (typeof options.auth != 'object' || options.auth.autoLogin !== false) {
+    let autoLogin = (typeof options.auth != 'object' ||
+        options.auth.autoLogin !== false);
+
+    if (this._sessionStore) {
+      this._restoreSession()
+        .then((restored) => {
+          if (!restored && autoLogin) {
+            return this.login(options.auth);
+          }
+        })
+        .finally(() => this._initializeSocket());
+    } else if (autoLogin) {
       this.login(options.auth)
         .finally(() => this._initializeSocket());
     } else {
@@ -72,6 +170,69 @@ class DubtrackAPI extends EventEmitter {
     }
   }
 
+  /**
+   * Restores cookies from session store and checks
+   * that the session is still valid.
+   * Resolves with `true` if the session is valid
+   *
+   * @return {Promise}
+   * @private
+   */
+  _restoreSession() {
+    return this._sessionStore.load()
+      .then((data) => {
+        if (!data || !Array.isArray(data.cookies)) {
+          return false;
+        }
+
+        let jar = request.jar();
+        data.cookies.forEach((cookie) =>
+          jar.setCookie(cookie, this._options.baseApiUrl));
+        this._cookieJar = jar;
+
+        return this._request(endpoints.session)
+          .then(() => {
+            this.emit('login');
+
+            return true;
+          }, () => false);
+      })
+      .catch((err) => {
+        this._onError(err);
+
+        return false;
+      });
+  }
+
+  /**
+   * Saves cookies to session store
+   *
+   * @private
+   */
+  _saveSession() {
+    if (!this._sessionStore) {
+      return;
+    }
+
+    this._sessionStore.save({
+      cookies: this._cookieJar.getCookies(this._options.baseApiUrl)
+        .map(String),
+    }).catch((err) => this._onError(err));
+  }
+
+  /**
+   * Removes saved session from session store
+   *
+   * @private
+   */
+  _clearSession() {
+    if (!this._sessionStore) {
+      return;
+    }
+
+    this._sessionStore.clear().catch((err) => this._onError(err));
+  }
+
   /**
    * Initializes socket
    * 
@@ -80,6 +241,10 @@ class DubtrackAPI extends EventEmitter {
   _initializeSocket() {
     this._socket = new DubtrackSocket(this, this._options.socket);
 
+    if (this._options.backfill !== false) {
+      this.on('reconnected', (gap) => this._backfillRooms(gap));
+    }
+
     if (this._options.autoJoin !== false && this._options.room) {
       this.once('connected', () => {
         this.join().catch((err) => this._onError(err));
@@ -113,7 +278,9 @@ class DubtrackAPI extends EventEmitter {
   }
 
   /**
-   * Makes a request to Dubtrack API and handles errors
+   * Makes a request to Dubtrack API.
+   * If re-authentication is enabled, requests made while logging in again
+   * wait for it and requests failed because of expired session are replayed
    * 
    * @param {string} path - Path to make request to
    * @param {Object} options - Advanced settings for request library
@@ -121,6 +288,180 @@ class DubtrackAPI extends EventEmitter {
    * @private
    */
   _request(path, options = {}) {
+    let canReauth = Boolean(this._options.reauth && this._options.auth) &&
+        path != endpoints.loginDubtrack;
+    let waitForReauth = (canReauth && this._reauthPromise) ?
+        this._reauthPromise.catch(() => {}) : Promise.resolve();
+
+    return waitForReauth
+      .then(() => this._send(path, Object.assign({}, options)))
+      .catch(errors.AccessDeniedError, (err) => {
+        if (!canReauth || !this._authorized) {
+          // Failed login attempt of re-authentication is not a logout yet,
+          // it is emitted once when all attempts fail
+          if (this._authorized && !this._reauthPromise) {
+            this.emit('logout');
+          }
+
+          throw err;
+        }
+
+        return this._reauthenticate()
+          .then(() => this._send(path, Object.assign({}, options)),
+              () => {
+                if (this._authorized) {
+                  this.emit('logout');
+                }
+
+                throw err;
+              });
+      });
+  }
+
+  /**
+   * Logs in again using `options.auth`.
+   * Concurrent calls share one login process
+   *
+   * @return {Promise}
+   * @private
+   */
+  _reauthenticate() {
+    if (this._reauthPromise) {
+      return this._reauthPromise;
+    }
+
+    let settings = Object.assign({attempts: 3, delay: 1000},
+        (typeof this._options.reauth == 'object') ? this._options.reauth : {});
+    let attempt = (number) => this.login().catch((err) => {
+      if (number >= settings.attempts) {
+        throw err;
+      }
+
+      return Promise.delay(settings.delay).then(() => attempt(number + 1));
+    });
+
+    this.emit('reauth');
+    this._reauthPromise = attempt(1).finally(() => {
+      this._reauthPromise = null;
+    });
+
+    return this._reauthPromise;
+  }
+
+  /**
+   * Picks options of the method which are passed to `_request`
+   *
+   * @param {Object} options - Options of the method
+   * @param {Object} [extra] - Other request options
+   * @return {Object}
+   * @private
+   */
+  _pickRequestOptions(options, extra = {}) {
+    return Object.assign({retry: options.retry, priority: options.priority},
+        extra);
+  }
+
+  /**
+   * Makes a request to Dubtrack API using response cache if it is enabled
+   *
+   * @param {string} type - Response type: user, room or roomUser
+   * @param {string} identifier - Identifier of the requested object
+   * @param {string} path - Path to make request to
+   * @param {Object} options - Options of the method
+   * @return {Promise}
+   * @private
+   */
+  _cachedRequest(type, identifier, path, options) {
+    let load = () => this._request(path, this._pickRequestOptions(options));
+    if (!this._cache) {
+      return load();
+    }
+
+    return this._cache.fetch(type, identifier, load,
+        {bypass: options.cache === false});
+  }
+
+  /**
+   * Get retry policy of the request
+   *
+   * @param {boolean|Object} [retry] - Policy override of the request
+   * @return {RetryPolicy|null}
+   * @private
+   */
+  _getRetryPolicy(retry) {
+    if (retry === false) {
+      return null;
+    }
+    if (retry === true) {
+      return this._retryPolicy || new RetryPolicy();
+    }
+    if (typeof retry == 'object' && retry !== null) {
+      return (this._retryPolicy || new RetryPolicy()).extend(retry);
+    }
+
+    return this._retryPolicy;
+  }
+
+  /**
+   * Sends a request to Dubtrack API and retries it according to
+   * retry policy. Emits `retry` before every retry.
+   * Rate-limit errors are left to the scheduler if there is one
+   *
+   * @param {string} path - Path to make request to
+   * @param {Object} options - Advanced settings for request library
+   * @return {Promise}
+   * @private
+   */
+  _send(path, options) {
+    let policy = this._getRetryPolicy(options.retry);
+    let method = options.method || 'GET';
+    let group = options.group || ((method == 'GET') ? 'read' : 'write');
+    let priority = options.priority ||
+        ((group == 'chat') ? 'high' : 'normal');
+    let requestOptions = Object.assign({}, options);
+    delete requestOptions.retry;
+    delete requestOptions.group;
+    delete requestOptions.priority;
+
+    let sendOnce = () => this._sendOnce(path,
+        Object.assign({}, requestOptions));
+    if (this._traffic) {
+      let send = sendOnce;
+      let exchange = {
+        method,
+        path,
+        qs: requestOptions.qs,
+        body: (requestOptions.form !== undefined) ?
+            requestOptions.form : requestOptions.body,
+      };
+      sendOnce = () => this._traffic.request(exchange, send);
+    }
+    let attempt = (number) => ((this._scheduler) ?
+        this._scheduler.schedule(sendOnce, {group, priority}) : sendOnce())
+      .catch((err) => {
+        if (!policy || !policy.shouldRetry(err, method, number) ||
+            (this._scheduler && err instanceof errors.RateLimitError)) {
+          throw err;
+        }
+
+        let delay = policy.getDelay(number, err);
+        this.emit('retry', {path, method, attempt: number, delay, error: err});
+
+        return Promise.delay(delay).then(() => attempt(number + 1));
+      });
+
+    return attempt(1);
+  }
+
+  /**
+   * Sends a request to Dubtrack API and handles errors
+   *
+   * @param {string} path - Path to make request to
+   * @param {Object} options - Advanced settings for request library
+   * @return {Promise}
+   * @private
+   */
+  _sendOnce(path, options) {
     if (this._options.request) {
       Object.assign(options, this._options.request);
     }
@@ -130,42 +471,107 @@ class DubtrackAPI extends EventEmitter {
     options.simple = false;
     options.resolveWithFullResponse = true;
 
+    let context = {
+      method: options.method || 'GET',
+      path,
+      body: (options.form !== undefined) ? options.form : options.body,
+    };
+
     return request(options).then((response) => {
+      context.status = response.statusCode;
+
       let json;
       try {
         json = JSON.parse(response.body);
       } catch (err) {
-        throw new errors.FatalError(`Error parsing Dubtrack response: ${response.body}`); // eslint-disable-line max-len
+        throw this._createResponseError(response, null).setRequest(context);
       }
 
       if (json.code == 200) {
         return json.data;
       }
 
-      if (json.code == 401) {
-        if (this._authorized) {
-          this.emit('logout');
-        }
-
-        throw new errors.AccessDeniedError();
-      }
-
-      throw new errors.DubtrackError(json);
+      throw this._createResponseError(response, json).setRequest(context);
     }).catch((err) => {
       if (err instanceof errors.BaseError) {
         throw err;
       }
 
-      throw new errors.FatalError(err);
+      let cause = err.cause || err;
+      let timedOut = ['ETIMEDOUT', 'ESOCKETTIMEDOUT'].includes(cause.code);
+      let error = (timedOut) ?
+          new errors.TimeoutError(cause) : new errors.NetworkError(cause);
+
+      throw error.setRequest(context);
     });
   }
 
+  /**
+   * Creates error matching failed response
+   *
+   * @param {Object} response - Response of request library
+   * @param {Object|null} json - Parsed body, null if it is not valid JSON
+   * @return {BaseError}
+   * @private
+   */
+  _createResponseError(response, json) {
+    let code = (json && json.code) || response.statusCode;
+    let error = (json) ? Object.assign({}, json, {code}) :
+        {code, message: response.body, data: null};
+
+    if (code == 401) {
+      return new errors.AccessDeniedError();
+    }
+    if (code == 429) {
+      return new errors.RateLimitError(error,
+          parseRetryAfter(response.headers['retry-after']));
+    }
+    if (code == 403) {
+      return new errors.PermissionError(null, null, 'Permission denied: ' +
+          ((json && json.message) || response.statusMessage));
+    }
+    if (code == 404) {
+      return new errors.NotFoundError(error);
+    }
+    if (!json) {
+      return new errors.ParseError(response.body, response.statusCode);
+    }
+    if (code == 400 || code == 422) {
+      return new errors.ValidationError(error);
+    }
+
+    return new errors.DubtrackError(error);
+  }
+
+  /**
+   * Removes all cached responses
+   *
+   * @return {Promise}
+   */
+  clearCache() {
+    return (this._cache) ? this._cache.clear() : Promise.resolve();
+  }
+
+  /**
+   * Get queue depth and wait time statistics of the request scheduler.
+   * Returns null if the scheduler is disabled
+   *
+   * @return {Object|null}
+   */
+  getRequestStats() {
+    return (this._scheduler) ? this._scheduler.getStats() : null;
+  }
+
   /**
    * Connect to Dubtrack sockets
    * 
    * @return {Promise}
    */
   connect() {
+    if (!this._socket) {
+      return Promise.reject(new errors.FatalError('Socket is not initialized'));
+    }
+
     return this._socket.connect();
   }
 
@@ -175,47 +581,159 @@ class DubtrackAPI extends EventEmitter {
    * @return {bool}
    */
   isConnected() {
-    return this._socket.isConnected();
+    return Boolean(this._socket) && this._socket.isConnected();
+  }
+
+  /**
+   * State of socket connection:
+   * idle, connecting, connected, reconnecting or closed
+   *
+   * @return {string}
+   */
+  get state() {
+    return (this._socket) ? this._socket.state : 'idle';
   }
 
   /**
-   * Join the room
+   * Get snapshot of socket connection health: state, uptime, amount
+   * of reconnects, time of the last event, latency and subscribed channels
+   *
+   * @return {Object}
+   */
+  getHealth() {
+    if (!this._socket) {
+      return {state: 'idle', uptime: 0, reconnects: 0, lastEventAt: null,
+        latency: null, channels: []};
+    }
+
+    return this._socket.getHealth();
+  }
+
+  /**
+   * Join the room or several rooms.
+   * Resolves with `RoomHandle` of the room or array of handles
    * 
-   * @param {string} roomIdentifier - Room ID or URL-based name
+   * @param {string|string[]} [roomIdentifier=options.room] - Room ID or
+   * URL-based name
    * @return {Promise}
    */
   join(roomIdentifier) {
-    return this._socket.join(roomIdentifier || this._options.room)
-      .then(() => this.emit('join', roomIdentifier));
+    roomIdentifier = roomIdentifier || this._options.room;
+    if (Array.isArray(roomIdentifier)) {
+      return Promise.all(roomIdentifier.map((identifier) =>
+          this.join(identifier)));
+    }
+
+    return this._socket.join(roomIdentifier)
+      .then((object) => {
+        let room = new models.Room(object, this);
+        let handle = this.room(roomIdentifier);
+
+        handle._setRoom(room);
+        this._rooms.set(room.id, room);
+        this.emit('join', roomIdentifier, room);
+
+        return handle;
+      });
   }
 
   /**
-   * Leave the room
+   * Leave the room or several rooms
    * 
-   * @param {string} roomIdentifier - Room ID or URL-based name
+   * @param {string|string[]} [roomIdentifier] - Room ID or URL-based name,
+   * all joined rooms if not specified
    * @return {Promise}
    */
   leave(roomIdentifier) {
-    return this.getRoom(roomIdentifier)
-      .then((object) => {
-        let path = replaceTemplates(endpoints.roomUsers, {
-          roomId: object.roomId,
+    if (!roomIdentifier) {
+      roomIdentifier = Array.from(this._rooms.keys());
+    }
+    if (Array.isArray(roomIdentifier)) {
+      return Promise.all(roomIdentifier.map((identifier) =>
+          this.leave(identifier)));
+    }
+
+    let joined = this._findJoinedRoom(roomIdentifier);
+    let getRoom = (joined) ? Promise.resolve(joined) :
+        this.getRoom(roomIdentifier, {raw: true})
+          .then((object) => new models.Room(object, this));
+
+    return getRoom.then((room) => {
+      let path = replaceTemplates(endpoints.roomUsers, {roomId: room.id});
+
+      return this._request(path, {method: 'DELETE'})
+        .then((response) => {
+          if (joined) {
+            this._rooms.delete(room.id);
+
+            return this._socket.leave(room.id).thenReturn(response);
+          }
+
+          return response;
+        })
+        .then((response) => {
+          this.emit('leave', roomIdentifier, room);
+
+          return response;
         });
+    });
+  }
+
+  /**
+   * Finds joined room by its ID or URL-based name
+   *
+   * @param {string} roomIdentifier - Room ID or URL-based name
+   * @return {Room|null}
+   * @private
+   */
+  _findJoinedRoom(roomIdentifier) {
+    for (let room of this._rooms.values()) {
+      if (room.id == roomIdentifier || room.roomUrl == roomIdentifier) {
+        return room;
+      }
+    }
 
-        return this._request(path, {method: 'DELETE'})
-          .then((response) => {
-            this.emit('leave', roomIdentifier);
+    return null;
+  }
 
-            return response;
-          });
-      });
+  /**
+   * Get rooms joined by this instance
+   *
+   * @return {Room[]}
+   */
+  getJoinedRooms() {
+    return Array.from(this._rooms.values());
+  }
+
+  /**
+   * Get handle providing room-scoped methods and events of a single room.
+   * For example, `api.room('my-room').on('chat-message', listener)`
+   *
+   * @param {string} roomIdentifier - Room ID or URL-based name
+   * @return {RoomHandle}
+   */
+  room(roomIdentifier) {
+    let handle = this._roomHandles.get(roomIdentifier);
+
+    if (!handle) {
+      handle = new RoomHandle(this, roomIdentifier);
+      this._roomHandles.set(roomIdentifier, handle);
+    }
+
+    return handle;
   }
 
   /**
    * Disconnect Dubtrack sockets
+   *
+   * @return {Promise}
    */
   disconnect() {
-    this._socket.disconnect();
+    if (!this._socket) {
+      return Promise.reject(new errors.FatalError('Not connected'));
+    }
+
+    return this._socket.disconnect();
   }
 
   /**
@@ -270,6 +788,8 @@ class DubtrackAPI extends EventEmitter {
    * @param {Object} [options] - Options to use in this method
    * @param {boolean} [options.raw=false] - Do not process API requests and 
    *                                        return raw answers instead
+   * @param {boolean|Object} [options.retry] - Override retry policy
+   * @param {string} [options.priority] - Priority of the request
    * @return {Promise}
    */
   getMe(options = {}) {
@@ -277,13 +797,13 @@ class DubtrackAPI extends EventEmitter {
       return Promise.reject(new errors.AccessDeniedError());
     }
 
-    return this._request(endpoints.session)
+    return this._request(endpoints.session, this._pickRequestOptions(options))
       .then((object) => {
         if (options.raw || this._options.raw) {
           return object;
         }
 
-        return new models.User(object);
+        return new models.User(object, this);
       });
   }
 
@@ -303,16 +823,21 @@ class DubtrackAPI extends EventEmitter {
    * @param {Object} [options] - Options to use in this method
    * @param {boolean} [options.raw=false] - Do not process API requests and 
    *                                        return raw answers instead
+   * @param {boolean|Object} [options.retry] - Override retry policy
+   * @param {string} [options.priority] - Priority of the request
+   * @param {boolean} [options.cache=true] - Use cached response
    * @return {Promise}
    */
   getUser(userIdentifier, options = {}) {
-    return this._request(replaceTemplates(endpoints.user, {userIdentifier}))
+    let path = replaceTemplates(endpoints.user, {userIdentifier});
+
+    return this._cachedRequest('user', userIdentifier, path, options)
       .then((object) => {
         if (options.raw || this._options.raw) {
           return object;
         }
 
-        return new models.User(object);
+        return new models.User(object, this);
       });
   }
 
@@ -352,13 +877,32 @@ class DubtrackAPI extends EventEmitter {
   }
 
   /**
-   * Get followers of specified user
+   * Get followers of specified user.
+   * The list is not paginated
    * 
    * @param {string} userId - User ID
+   * @param {Object} [params] - Params
    * @return {Promise}
    */
-  getUserFollowers(userId) {
-    return this._request(replaceTemplates(endpoints.userFollowers, {userId}));
+  getUserFollowers(userId, params = {}) {
+    let path = replaceTemplates(endpoints.userFollowers, {userId});
+
+    return this._request(path, {qs: params});
+  }
+
+  /**
+   * Iterate over all followers of specified user.
+   * The list is not paginated, so only one request is sent.
+   * Returned paginator can be used with `for await` or as a stream
+   *
+   * @param {string} userId - User ID
+   * @param {Object} [params] - Params, see `getUserFollowers`
+   * @param {Object} [options] - Options for `Paginator`
+   * @return {Paginator}
+   */
+  iterateUserFollowers(userId, params = {}, options = {}) {
+    return new Paginator(() => this.getUserFollowers(userId, params),
+        Object.assign({}, options, {paginated: false}));
   }
 
   /**
@@ -425,19 +969,58 @@ class DubtrackAPI extends EventEmitter {
    * @param {Object} [options] - Options to use in this method
    * @param {boolean} [options.raw=false] - Do not process API requests and 
    *                                        return raw answers instead
+   * @param {boolean|Object} [options.retry] - Override retry policy
+   * @param {string} [options.priority] - Priority of the request
    * @return {Promise}
    */
   getPlaylistSongs(playlistId, params = {}, options = {}) {
-    return this._request(endpoints.playlistSongs, {qs: params})
+    let path = replaceTemplates(endpoints.playlistSongs, {playlistId});
+
+    return this._request(path, this._pickRequestOptions(options, {qs: params}))
       .then((objects) => {
         if (options.raw || this._options.raw) {
           return objects;
         }
 
-        return objects.map((object) => new models.PlaylistSong(object));
+        return objects.map((object) =>
+          new models.PlaylistSong(object, this));
       });
   }
 
+  /**
+   * Iterate over all songs of the playlist page by page.
+   * Returned paginator can be used with `for await` or as a stream
+   *
+   * @param {string} playlistId - Playlist ID
+   * @param {Object} [params] - Params, see `getPlaylistSongs`
+   * @param {Object} [options] - Options to use in this method
+   * @param {boolean} [options.raw=false] - Do not process API requests and
+   *                                        return raw answers instead
+   * @param {number} [options.pageSize] - Expected size of a full page
+   * @param {number} [options.limit] - Stop after this amount of songs
+   * @param {Function} [options.filter] - Skip songs not matching predicate
+   * @return {Paginator}
+   */
+  iteratePlaylistSongs(playlistId, params = {}, options = {}) {
+    return new Paginator((page) => this.getPlaylistSongs(playlistId,
+        Object.assign({}, params, {page}),
+        Object.assign({priority: 'low'}, options)),
+        Object.assign({page: params.page}, options));
+  }
+
+  /**
+   * Get readable stream of all songs of the playlist.
+   * This is a sugar for `iteratePlaylistSongs` method
+   *
+   * @param {string} playlistId - Playlist ID
+   * @param {Object} [params] - Params, see `getPlaylistSongs`
+   * @param {Object} [options] - Options, see `iteratePlaylistSongs`
+   * @return {Readable}
+   */
+  createPlaylistSongsStream(playlistId, params = {}, options = {}) {
+    return this.iteratePlaylistSongs(playlistId, params, options).stream();
+  }
+
   /**
    * Add song to playlist
    * 
@@ -449,14 +1032,15 @@ class DubtrackAPI extends EventEmitter {
   addSongToPlaylist(playlistId, type, fkid) {
     let path = replaceTemplates(endpoints.playlistSongs, {playlistId});
 
-    return this._request(path, {method: 'POST', data: {type, fkid}});
+    return this._request(path, {method: 'POST', form: {type, fkid}});
   }
 
   /**
    * Removes song from playlist
    * 
    * @param {string} playlistId - Playlist ID
-   * @param {string} songId - Song ID
+   * @param {string} songId - Playlist song ID, duplicates of the song
+   * in the playlist have different IDs
    * @return {Promise}
    */
   removePlaylistSong(playlistId, songId) {
@@ -471,75 +1055,219 @@ class DubtrackAPI extends EventEmitter {
    * @param {Object} [options] - Options to use in this method
    * @param {boolean} [options.raw=false] - Do not process API requests and 
    *                                        return raw answers instead
+   * @param {boolean|Object} [options.retry] - Override retry policy
+   * @param {string} [options.priority] - Priority of the request
    * @return {Promise}
    */
   getPlaylists(options = {}) {
-    return this._request(endpoints.playlists)
+    return this._request(endpoints.playlists, this._pickRequestOptions(options))
       .then((objects) => {
         if (options.raw || this._options.raw) {
           return objects;
         }
 
-        return objects.map((object) => new models.Playlist(object));
+        return objects.map((object) => new models.Playlist(object, this));
       });
   }
 
   /**
-   * Get basic information about specified room
-   * 
-   * @param {string} roomIdentifier - Room ID or URL-based name
-   * @param {Object} [options] - Options to use in this method
-   * @param {boolean} [options.raw=false] - Do not process API requests and 
-   *                                        return raw answers instead
+   * Serializes all songs of the playlist
+   *
+   * @param {Object} playlist - Raw playlist object
+   * @param {string} format - Format: json, csv or m3u
    * @return {Promise}
+   * @private
    */
-  getRoom(roomIdentifier, options = {}) {
-    return this._request(replaceTemplates(endpoints.room, {roomIdentifier}))
-      .then((object) => {
-        if (options.raw || this._options.raw) {
-          return object;
-        }
+  _exportPlaylist(playlist, format) {
+    return this.iteratePlaylistSongs(playlist._id, {}, {raw: true})
+      .toArray()
+      .then((objects) => {
+        let songs = objects.map((object) => playlistFormats.fromPlaylistSong(
+            new models.PlaylistSong(object, this)));
 
-        return new models.Room(object);
+        return playlistFormats.serialize({name: playlist.name, songs}, format);
       });
   }
 
   /**
-   * Get the room user
-   * 
-   * @param {string} roomId - Room ID
-   * @param {string} userId - User ID
-   * @param {Object} [options] - Options to use in this method
-   * @param {boolean} [options.raw=false] - Do not process API requests and 
-   *                                        return raw answers instead
+   * Export the playlist with all its songs.
+   * Resolves with serialized playlist
+   *
+   * @param {string} playlistId - Playlist ID
+   * @param {string} [format=json] - Format: json, csv or m3u
    * @return {Promise}
    */
-  getRoomUser(roomId, userId, options = {}) {
-    let path = replaceTemplates(endpoints.roomUser, {roomId, userId});
-
-    return this._request(path)
-      .then((object) => {
-        if (options.raw || this._options.raw) {
-          return object;
-        }
+  exportPlaylist(playlistId, format = 'json') {
+    return this.getPlaylists({raw: true}).then((objects) => {
+      let playlist = lodash.find(objects, {_id: playlistId});
+      if (!playlist) {
+        throw new errors.FatalError(`Playlist ${playlistId} is not found`);
+      }
 
-        return new models.RoomUser(object, this);
-      });
+      return this._exportPlaylist(playlist, format);
+    });
   }
 
   /**
-   * Get room users by endpoint
-   * 
-   * @param {string} endpoint - Endpoint
-   * @param {string} roomId - Room ID
-   * @param {Object} options - Options to use in this method
+   * Export all playlists of logged in user.
+   * Resolves with array of objects with `id`, `name` and serialized `data`
+   *
+   * @param {string} [format=json] - Format: json, csv or m3u
    * @return {Promise}
-   * @private
    */
-  _getRoomUsersByEndpoint(endpoint, roomId, options) {
-    return this._request(replaceTemplates(endpoint, {roomId}))
-    .then((objects) => {
-      if (options.raw || this._options.raw) {
+  exportPlaylists(format = 'json') {
+    return this.getPlaylists({raw: true}).then((objects) =>
+      Promise.mapSeries(objects, (playlist) =>
+        this._exportPlaylist(playlist, format).then((data) => ({
+          id: playlist._id,
+          name: playlist.name,
+          data,
+        }))));
+  }
+
+  /**
+   * Create importer of the playlist.
+   * Use it to listen to `playlist`, `progress` and `skip` events
+   *
+   * @param {string|Object} data - Serialized playlist
+   * @param {Object} [options] - Options for `PlaylistImporter`
+   * @return {PlaylistImporter}
+   */
+  createPlaylistImporter(data, options = {}) {
+    return new PlaylistImporter(this, data, options);
+  }
+
+  /**
+   * Import the playlist.
+   * This is a sugar for `createPlaylistImporter` method.
+   * Resolves with `playlistId`, `total`, `added` and `skipped` songs
+   *
+   * @param {string|Object} data - Serialized playlist
+   * @param {Object} [options] - Options for `PlaylistImporter`
+   * @return {Promise}
+   */
+  importPlaylist(data, options = {}) {
+    return Promise.try(() => this.createPlaylistImporter(data, options).run());
+  }
+
+  /**
+   * Converges the playlist to the manifest: adds missing songs and
+   * removes duplicates and songs which are not in the manifest.
+   * Dubtrack API can not reorder playlist songs, so missing songs are
+   * appended in manifest order and `ordered` in the result tells whether
+   * the rest of songs follow it.
+   * Resolves with planned `add` and `remove` changes, `unchanged` amount,
+   * `ordered` flag and `failed` changes with errors
+   *
+   * @param {string} playlistId - Playlist ID
+   * @param {string|Object|Object[]} manifest - Entries with `type` and
+   * `fkid`, object with `songs` entries or serialized playlist
+   * @param {Object} [options] - Options to use in this method
+   * @param {boolean} [options.dryRun=false] - Only plan the changes
+   * @param {boolean} [options.prune=true] - Remove songs missing
+   * in the manifest
+   * @return {Promise}
+   */
+  syncPlaylist(playlistId, manifest, options = {}) {
+    return Promise.try(() => {
+      if (typeof manifest == 'string') {
+        return playlistFormats.parse(manifest).songs;
+      }
+
+      return Array.isArray(manifest) ? manifest : manifest.songs;
+    }).then((desired) =>
+      this.iteratePlaylistSongs(playlistId, {}, {raw: true}).toArray()
+        .then((current) => diffPlaylist(current, desired, options))
+    ).then((plan) => {
+      plan.dryRun = Boolean(options.dryRun);
+      plan.failed = [];
+
+      if (plan.dryRun) {
+        return plan;
+      }
+
+      let onFailure = (action, entry) => (err) => {
+        plan.failed.push({action, entry, error: err});
+      };
+
+      return Promise.mapSeries(plan.add, (entry) =>
+        this.addSongToPlaylist(playlistId, entry.type, entry.fkid)
+          .catch(onFailure('add', entry)))
+        .then(() => Promise.mapSeries(plan.remove, (entry) =>
+          this.removePlaylistSong(playlistId, entry.id)
+            .catch(onFailure('remove', entry))))
+        .thenReturn(plan);
+    });
+  }
+
+  /**
+   * Get basic information about specified room
+   * 
+   * @param {string} roomIdentifier - Room ID or URL-based name
+   * @param {Object} [options] - Options to use in this method
+   * @param {boolean} [options.raw=false] - Do not process API requests and 
+   *                                        return raw answers instead
+   * @param {boolean|Object} [options.retry] - Override retry policy
+   * @param {string} [options.priority] - Priority of the request
+   * @param {boolean} [options.cache=true] - Use cached response
+   * @return {Promise}
+   */
+  getRoom(roomIdentifier, options = {}) {
+    let path = replaceTemplates(endpoints.room, {roomIdentifier});
+
+    return this._cachedRequest('room', roomIdentifier, path, options)
+      .then((object) => {
+        if (options.raw || this._options.raw) {
+          return object;
+        }
+
+        return new models.Room(object, this);
+      });
+  }
+
+  /**
+   * Get the room user
+   * 
+   * @param {string} roomId - Room ID
+   * @param {string} userId - User ID
+   * @param {Object} [options] - Options to use in this method
+   * @param {boolean} [options.raw=false] - Do not process API requests and 
+   *                                        return raw answers instead
+   * @param {boolean|Object} [options.retry] - Override retry policy
+   * @param {string} [options.priority] - Priority of the request
+   * @param {boolean} [options.cache=true] - Use cached response
+   * @return {Promise}
+   */
+  getRoomUser(roomId, userId, options = {}) {
+    let path = replaceTemplates(endpoints.roomUser, {roomId, userId});
+
+    return this._cachedRequest('roomUser', `${roomId}:${userId}`, path, options)
+      .then((object) => {
+        if (options.raw || this._options.raw) {
+          return object;
+        }
+
+        return new models.RoomUser(object, this);
+      });
+  }
+
+  /**
+   * Get room users by endpoint
+   * 
+   * @param {string} endpoint - Endpoint
+   * @param {string} roomId - Room ID
+   * @param {Object} options - Options to use in this method
+   * @return {Promise}
+   * @private
+   */
+  _getRoomUsersByEndpoint(endpoint, roomId, options) {
+    let qs = (options.page) ? {page: options.page} : {};
+
+    let path = replaceTemplates(endpoint, {roomId});
+
+    return this._request(path, this._pickRequestOptions(options, {qs}))
+    .then((objects) => {
+      if (options.raw || this._options.raw) {
         return objects;
       }
 
@@ -548,122 +1276,866 @@ class DubtrackAPI extends EventEmitter {
   }
 
   /**
-   * Get users present in the room
-   * 
+   * Get users present in the room
+   * 
+   * @param {string} roomId - Room ID
+   * @param {Object} [options] - Options to use in this method
+   * @param {boolean} [options.raw=false] - Do not process API requests and 
+   *                                        return raw answers instead
+   * @param {number} [options.page] - Page of the list
+   * @param {boolean|Object} [options.retry] - Override retry policy
+   * @param {string} [options.priority] - Priority of the request
+   * @return {Promise}
+   */
+  getRoomUsers(roomId, options = {}) {
+    return this._getRoomUsersByEndpoint(endpoints.roomUsers, roomId, options);
+  }
+
+  /**
+   * Iterate over all users present in the room page by page.
+   * Returned paginator can be used with `for await` or as a stream
+   *
+   * @param {string} roomId - Room ID
+   * @param {Object} [options] - Options for `getRoomUsers` and `Paginator`
+   * @return {Paginator}
+   */
+  iterateRoomUsers(roomId, options = {}) {
+    return new Paginator((page) => this.getRoomUsers(roomId,
+        Object.assign({priority: 'low'}, options, {page})), options);
+  }
+
+  /**
+   * Get room's staff list
+   * 
+   * @param {string} roomId - Room ID
+   * @param {Object} [options] - Options to use in this method
+   * @param {boolean} [options.raw=false] - Do not process API requests and 
+   *                                        return raw answers instead
+   * @param {boolean|Object} [options.retry] - Override retry policy
+   * @param {string} [options.priority] - Priority of the request
+   * @return {Promise}
+   */
+  getRoomStaff(roomId, options = {}) {
+    return this._getRoomUsersByEndpoint(endpoints.roomStaff, roomId, options);
+  }
+
+  /**
+   * Get users muted in the room
+   * 
+   * @param {string} roomId - Room ID
+   * @param {Object} [options] - Options to use in this method
+   * @param {boolean} [options.raw=false] - Do not process API requests and 
+   *                                        return raw answers instead
+   * @param {boolean|Object} [options.retry] - Override retry policy
+   * @param {string} [options.priority] - Priority of the request
+   * @return {Promise}
+   */
+  getMutedUsers(roomId, options = {}) {
+    return this._getRoomUsersByEndpoint(endpoints.mutedUsers, roomId, options);
+  }
+
+  /**
+   * Get users banned in the room
+   * 
+   * @param {string} roomId - Room ID
+   * @param {Object} [options] - Options to use in this method
+   * @param {boolean} [options.raw=false] - Do not process API requests and 
+   *                                        return raw answers instead
+   * @param {boolean|Object} [options.retry] - Override retry policy
+   * @param {string} [options.priority] - Priority of the request
+   * @return {Promise}
+   */
+  getBannedUsers(roomId, options = {}) {
+    return this._getRoomUsersByEndpoint(endpoints.bannedUsers, roomId, options);
+  }
+
+  /**
+   * Get role of logged in user in the room and whether the user owns it.
+   * Answers are kept for a minute and forgotten earlier when socket events
+   * tell that roles of the room changed
+   *
+   * @param {string} roomId - Room ID
+   * @return {Promise}
+   * @private
+   */
+  _getRoomRights(roomId) {
+    let cached = this._roomRights.get(roomId);
+    if (cached && Date.now() - cached.time < roomRightsTtl) {
+      return cached.promise;
+    }
+
+    let promise = this._request(endpoints.session).then((session) => {
+      let path = replaceTemplates(endpoints.roomUser, {
+        roomId,
+        userId: session._id,
+      });
+      let roomPath = replaceTemplates(endpoints.room, {
+        roomIdentifier: roomId,
+      });
+
+      return Promise.all([
+        this._request(path).catch(errors.NotFoundError, () => null),
+        this._request(roomPath),
+      ]).spread((object, room) => ({
+        role: (object) ? new models.RoomUser(object, this).role : null,
+        isOwner: room.userid == session._id,
+      }));
+    });
+    let entry = {promise, time: Date.now()};
+
+    this._roomRights.set(roomId, entry);
+    promise.catch(() => {
+      if (this._roomRights.get(roomId) === entry) {
+        this._roomRights.delete(roomId);
+      }
+    });
+
+    return promise;
+  }
+
+  /**
+   * Checks that logged in user has the right in the room.
+   * Room owner is considered to have all rights
+   *
+   * @param {string} roomId - Room ID
+   * @param {string} right - Right to check
+   * @return {Promise}
+   * @private
+   */
+  _checkRight(roomId, right) {
+    if (!this._authorized) {
+      return Promise.reject(new errors.AccessDeniedError());
+    }
+
+    return this._getRoomRights(roomId).then((rights) => {
+      if (rights.isOwner || (rights.role && rights.role.hasRight(right))) {
+        return;
+      }
+      if (!rights.role) {
+        throw new errors.PermissionError(right, roomId,
+            `Missing "${right}" right: not present in room ${roomId}`);
+      }
+
+      throw new errors.PermissionError(right, roomId);
+    });
+  }
+
+  /**
+   * Kicks user from the room.
+   * Requires authentication and `kick` right in the room
+   *
+   * @param {string} roomId - Room ID
+   * @param {string} userId - User ID
+   * @param {string} [message] - Message to show to the user
+   * @return {Promise}
+   */
+  kick(roomId, userId, message = '') {
+    let path = replaceTemplates(endpoints.kick, {roomId, userId});
+
+    return this._checkRight(roomId, 'kick')
+      .then(() => this._request(path, {method: 'POST', form: {message}}));
+  }
+
+  /**
+   * Bans user in the room.
+   * Requires authentication and `ban` right in the room
+   *
+   * @param {string} roomId - Room ID
+   * @param {string} userId - User ID
+   * @param {number} [time=0] - Ban duration in minutes, 0 is permanent
+   * @return {Promise}
+   */
+  ban(roomId, userId, time = 0) {
+    let path = replaceTemplates(endpoints.ban, {roomId, userId});
+
+    return this._checkRight(roomId, 'ban')
+      .then(() => this._request(path, {method: 'POST', form: {time}}));
+  }
+
+  /**
+   * Unbans user in the room.
+   * Requires authentication and `ban` right in the room
+   *
+   * @param {string} roomId - Room ID
+   * @param {string} userId - User ID
+   * @return {Promise}
+   */
+  unban(roomId, userId) {
+    let path = replaceTemplates(endpoints.ban, {roomId, userId});
+
+    return this._checkRight(roomId, 'ban')
+      .then(() => this._request(path, {method: 'DELETE'}));
+  }
+
+  /**
+   * Mutes user in the room.
+   * Requires authentication and `mute` right in the room
+   *
+   * @param {string} roomId - Room ID
+   * @param {string} userId - User ID
+   * @return {Promise}
+   */
+  mute(roomId, userId) {
+    let path = replaceTemplates(endpoints.mute, {roomId, userId});
+
+    return this._checkRight(roomId, 'mute')
+      .then(() => this._request(path, {method: 'POST'}));
+  }
+
+  /**
+   * Unmutes user in the room.
+   * Requires authentication and `mute` right in the room
+   *
+   * @param {string} roomId - Room ID
+   * @param {string} userId - User ID
+   * @return {Promise}
+   */
+  unmute(roomId, userId) {
+    let path = replaceTemplates(endpoints.mute, {roomId, userId});
+
+    return this._checkRight(roomId, 'mute')
+      .then(() => this._request(path, {method: 'DELETE'}));
+  }
+
+  /**
+   * Skips the song which is currently playing in the room.
+   * Requires authentication and `skip` right in the room
+   *
+   * @param {string} roomId - Room ID
+   * @return {Promise}
+   */
+  skip(roomId) {
+    return this._checkRight(roomId, 'skip')
+      .then(() => this.getActiveSong(roomId, {raw: true}))
+      .then((object) => {
+        if (!object || !object.song) {
+          throw new errors.FatalError('Nothing is playing in the room');
+        }
+        let path = replaceTemplates(endpoints.skip, {
+          roomId,
+          queueSongId: object.song._id,
+        });
+
+        return this._request(path, {method: 'POST'});
+      });
+  }
+
+  /**
+   * Gets the right which is required to change the role
+   *
+   * @param {Role} role - Role to be set or removed
+   * @return {string}
+   * @private
+   */
+  _getRoleRight(role) {
+    if (role.is('co-owner') || role.is('manager')) {
+      return 'set-managers';
+    }
+    if (role.is('resident-dj') || role.is('dj')) {
+      return 'set-dj';
+    }
+
+    return 'set-roles';
+  }
+
+  /**
+   * Sends request changing the role of user in the room
+   *
+   * @param {string} method - HTTP method: POST to set, DELETE to remove
+   * @param {string} roomId - Room ID
+   * @param {string} userId - User ID
+   * @param {string} roleType - Role type
+   * @return {Promise}
+   * @private
+   */
+  _changeRole(method, roomId, userId, roleType) {
+    let role = models.Role.fromType(roleType);
+    if (!role || !role.id) {
+      return Promise.reject(
+          new errors.FatalError(`Unknown role type "${roleType}"`));
+    }
+    let path = replaceTemplates(endpoints.roomUserRole, {
+      roleId: role.id,
+      roomId,
+      userId,
+    });
+
+    return this._checkRight(roomId, this._getRoleRight(role))
+      .then(() => this._request(path, {method}));
+  }
+
+  /**
+   * Sets role of user in the room.
+   * Requires authentication and `set-roles` right in the room
+   * (`set-managers` for managers and co-owners, `set-dj` for DJs)
+   *
+   * @param {string} roomId - Room ID
+   * @param {string} userId - User ID
+   * @param {string} roleType - Role type: co-owner, manager, mod, vip,
+   * resident-dj or dj
+   * @return {Promise}
+   */
+  setRole(roomId, userId, roleType) {
+    return this._changeRole('POST', roomId, userId, roleType);
+  }
+
+  /**
+   * Removes role of user in the room.
+   * Requires authentication and `set-roles` right in the room
+   * (`set-managers` for managers and co-owners, `set-dj` for DJs)
+   *
+   * @param {string} roomId - Room ID
+   * @param {string} userId - User ID
+   * @param {string} roleType - Role type: co-owner, manager, mod, vip,
+   * resident-dj or dj
+   * @return {Promise}
+   */
+  removeRole(roomId, userId, roleType) {
+    return this._changeRole('DELETE', roomId, userId, roleType);
+  }
+
+  /**
+   * Locks or unlocks the room queue
+   *
+   * @param {string} roomId - Room ID
+   * @param {boolean} locked - Should the queue be locked
+   * @return {Promise}
+   * @private
+   */
+  _setQueueLocked(roomId, locked) {
+    let path = replaceTemplates(endpoints.roomLockQueue, {roomId});
+    let form = {lockQueue: (locked) ? 1 : 0};
+
+    return this._checkRight(roomId, 'lock-queue')
+      .then(() => this._request(path, {method: 'PUT', form}));
+  }
+
+  /**
+   * Locks the room queue.
+   * Requires authentication and `lock-queue` right in the room
+   *
+   * @param {string} roomId - Room ID
+   * @return {Promise}
+   */
+  lockQueue(roomId) {
+    return this._setQueueLocked(roomId, true);
+  }
+
+  /**
+   * Unlocks the room queue.
+   * Requires authentication and `lock-queue` right in the room
+   *
+   * @param {string} roomId - Room ID
+   * @return {Promise}
+   */
+  unlockQueue(roomId) {
+    return this._setQueueLocked(roomId, false);
+  }
+
+  /**
+   * Create room.
+   * Requires authentication
+   * 
+   * @param {string} roomId - Room ID
+   * @return {Promise}
+   */
+  createRoom() {
+    if (!this._authorized) {
+      return Promise.reject(new errors.AccessDeniedError());
+    }
+
+    return this._request(endpoints.rooms, {method: 'POST'});
+  }
+
+  /**
+   * Update room.
+   * Requires authentication
+   * 
+   * @param {string} roomId - Room ID
+   * @return {Promise}
+   */
+  updateRoom(roomId) {
+    if (!this._authorized) {
+      return Promise.reject(new errors.AccessDeniedError());
+    }
+    let path = replaceTemplates(endpoints.room, {roomIdentifier: roomId});
+
+    return this._request(path, {method: 'PUT'});
+  }
+
+  /**
+   * Get rooms
+   * 
+   * @param {Object} [options] - Options to use in this method
+   * @param {boolean} [options.raw=false] - Do not process API requests and 
+   *                                        return raw answers instead
+   * @param {number} [options.page] - Page of the list
+   * @param {boolean|Object} [options.retry] - Override retry policy
+   * @param {string} [options.priority] - Priority of the request
+   * @return {Promise}
+   */
+  getRooms(options = {}) {
+    let qs = (options.page) ? {page: options.page} : {};
+
+    return this._request(endpoints.rooms,
+        this._pickRequestOptions(options, {qs}))
+      .then((objects) => {
+        if (options.raw || this._options.raw) {
+          return objects;
+        }
+
+        return objects.map((object) => new models.Room(object, this));
+      });
+  }
+
+  /**
+   * Iterate over all rooms page by page.
+   * Returned paginator can be used with `for await` or as a stream
+   *
+   * @param {Object} [options] - Options for `getRooms` and `Paginator`
+   * @return {Paginator}
+   */
+  iterateRooms(options = {}) {
+    return new Paginator((page) => this.getRooms(
+        Object.assign({priority: 'low'}, options, {page})), options);
+  }
+
+  /**
+   * Get songs queued in the room
+   *
+   * @param {string} roomId - Room ID
+   * @param {Object} [options] - Options to use in this method
+   * @param {boolean} [options.raw=false] - Do not process API requests and
+   *                                        return raw answers instead
+   * @param {boolean|Object} [options.retry] - Override retry policy
+   * @param {string} [options.priority] - Priority of the request
+   * @return {Promise}
+   */
+  getRoomQueue(roomId, options = {}) {
+    let path = replaceTemplates(endpoints.roomQueue, {roomId});
+
+    return this._request(path, this._pickRequestOptions(options))
+      .then((objects) => {
+        if (options.raw || this._options.raw) {
+          return objects;
+        }
+
+        return objects.map((object) => new models.QueueSong(object, this));
+      });
+  }
+
+  /**
+   * Get songs queued by logged in user in the room.
+   * Requires authentication
+   *
    * @param {string} roomId - Room ID
    * @param {Object} [options] - Options to use in this method
-   * @param {boolean} [options.raw=false] - Do not process API requests and 
+   * @param {boolean} [options.raw=false] - Do not process API requests and
    *                                        return raw answers instead
+   * @param {boolean|Object} [options.retry] - Override retry policy
+   * @param {string} [options.priority] - Priority of the request
    * @return {Promise}
    */
-  getRoomUsers(roomId, options = {}) {
-    return this._getRoomUsersByEndpoint(endpoints.roomUsers, roomId, options);
+  getMyQueue(roomId, options = {}) {
+    if (!this._authorized) {
+      return Promise.reject(new errors.AccessDeniedError());
+    }
+
+    let path = replaceTemplates(endpoints.myQueue, {roomId});
+
+    return this._request(path, this._pickRequestOptions(options))
+      .then((objects) => {
+        if (options.raw || this._options.raw) {
+          return objects;
+        }
+
+        return objects.map((object) => new models.QueueSong(object, this));
+      });
   }
 
   /**
-   * Get room's staff list
-   * 
+   * Queue the song in the room.
+   * Requires authentication
+   *
    * @param {string} roomId - Room ID
-   * @param {Object} [options] - Options to use in this method
-   * @param {boolean} [options.raw=false] - Do not process API requests and 
-   *                                        return raw answers instead
+   * @param {string} type - Source of the song: youtube or soundcloud
+   * @param {string} fkid - ID of the song on youtube or soundcloud
    * @return {Promise}
    */
-  getRoomStaff(roomId, options = {}) {
-    return this._getRoomUsersByEndpoint(endpoints.roomStaff, roomId, options);
+  queueSong(roomId, type, fkid) {
+    if (!this._authorized) {
+      return Promise.reject(new errors.AccessDeniedError());
+    }
+    let path = replaceTemplates(endpoints.roomQueueSongs, {roomId});
+    let form = {songType: type, songId: fkid};
+
+    return this._request(path, {method: 'POST', form});
   }
 
   /**
-   * Get users muted in the room
-   * 
+   * Queue all songs of the playlist in the room.
+   * Requires authentication
+   *
    * @param {string} roomId - Room ID
-   * @param {Object} [options] - Options to use in this method
-   * @param {boolean} [options.raw=false] - Do not process API requests and 
-   *                                        return raw answers instead
+   * @param {string} playlistId - Playlist ID
    * @return {Promise}
    */
-  getMutedUsers(roomId, options = {}) {
-    return this._getRoomUsersByEndpoint(endpoints.mutedUsers, roomId, options);
+  queuePlaylist(roomId, playlistId) {
+    if (!this._authorized) {
+      return Promise.reject(new errors.AccessDeniedError());
+    }
+    let path = replaceTemplates(endpoints.queuePlaylist, {roomId, playlistId});
+
+    return this._request(path, {method: 'POST'});
   }
 
   /**
-   * Get users banned in the room
-   * 
+   * Removes song from the queue of logged in user.
+   * Requires authentication
+   *
    * @param {string} roomId - Room ID
-   * @param {Object} [options] - Options to use in this method
-   * @param {boolean} [options.raw=false] - Do not process API requests and 
-   *                                        return raw answers instead
+   * @param {string} queueSongId - ID of the queued song
    * @return {Promise}
    */
-  getBannedUsers(roomId, options = {}) {
-    return this._getRoomUsersByEndpoint(endpoints.bannedUsers, roomId, options);
+  removeQueueSong(roomId, queueSongId) {
+    if (!this._authorized) {
+      return Promise.reject(new errors.AccessDeniedError());
+    }
+    let path = replaceTemplates(endpoints.myQueueSong, {roomId, queueSongId});
+
+    return this._request(path, {method: 'DELETE'});
   }
 
   /**
-   * Create room.
+   * Changes order of songs in the queue of logged in user.
    * Requires authentication
-   * 
+   *
    * @param {string} roomId - Room ID
+   * @param {string[]} queueSongIds - IDs of the queued songs in desired order
    * @return {Promise}
    */
-  createRoom() {
+  reorderQueue(roomId, queueSongIds) {
     if (!this._authorized) {
       return Promise.reject(new errors.AccessDeniedError());
     }
+    let path = replaceTemplates(endpoints.myQueueOrder, {roomId});
 
-    return this._request(endpoints.rooms, {method: 'POST'});
+    return this._request(path, {
+      method: 'POST',
+      form: {order: queueSongIds},
+      qsStringifyOptions: {arrayFormat: 'brackets'},
+    });
   }
 
   /**
-   * Update room.
+   * Pauses or resumes the queue of logged in user
+   *
+   * @param {string} roomId - Room ID
+   * @param {boolean} paused - Should the queue be paused
+   * @return {Promise}
+   * @private
+   */
+  _setQueuePaused(roomId, paused) {
+    if (!this._authorized) {
+      return Promise.reject(new errors.AccessDeniedError());
+    }
+    let path = replaceTemplates(endpoints.roomQueuePause, {roomId});
+
+    return this._request(path, {
+      method: 'PUT',
+      form: {queuePaused: (paused) ? 1 : 0},
+    });
+  }
+
+  /**
+   * Pauses the queue of logged in user.
    * Requires authentication
-   * 
+   *
    * @param {string} roomId - Room ID
    * @return {Promise}
    */
-  updateRoom(roomId) {
+  pauseQueue(roomId) {
+    return this._setQueuePaused(roomId, true);
+  }
+
+  /**
+   * Resumes the queue of logged in user.
+   * Requires authentication
+   *
+   * @param {string} roomId - Room ID
+   * @return {Promise}
+   */
+  resumeQueue(roomId) {
+    return this._setQueuePaused(roomId, false);
+  }
+
+  /**
+   * Removes all songs from the queue of logged in user.
+   * Requires authentication
+   *
+   * @param {string} roomId - Room ID
+   * @return {Promise}
+   */
+  clearQueue(roomId) {
     if (!this._authorized) {
       return Promise.reject(new errors.AccessDeniedError());
     }
-    let path = replaceTemplates(endpoints.room, {roomIdentifier: roomId});
+    let path = replaceTemplates(endpoints.myQueue, {roomId});
 
-    return this._request(path, {method: 'PUT'});
+    return this._request(path, {method: 'DELETE'});
   }
 
   /**
-   * Get rooms
-   * 
+   * Get the song which is currently playing in the room.
+   * Resolves with `null` if nothing is playing
+   *
+   * @param {string} roomId - Room ID
    * @param {Object} [options] - Options to use in this method
-   * @param {boolean} [options.raw=false] - Do not process API requests and 
+   * @param {boolean} [options.raw=false] - Do not process API requests and
    *                                        return raw answers instead
+   * @param {boolean|Object} [options.retry] - Override retry policy
+   * @param {string} [options.priority] - Priority of the request
    * @return {Promise}
    */
-  getRooms(options = {}) {
-    return this._request(endpoints.rooms)
+  getActiveSong(roomId, options = {}) {
+    let path = replaceTemplates(endpoints.activeSong, {roomId});
+
+    return this._request(path, this._pickRequestOptions(options))
+      .then((object) => {
+        if (options.raw || this._options.raw) {
+          return object;
+        }
+
+        if (!object || !object.song) {
+          return null;
+        }
+
+        return new models.ActiveSong(object, this);
+      });
+  }
+
+  /**
+   * Get songs played in the room, the latest first
+   *
+   * @param {string} roomId - Room ID
+   * @param {Object} [params] - Params
+   * @param {number} [params.page] - Page of the history
+   * @param {Object} [options] - Options to use in this method
+   * @param {boolean} [options.raw=false] - Do not process API requests and
+   *                                        return raw answers instead
+   * @param {boolean|Object} [options.retry] - Override retry policy
+   * @param {string} [options.priority] - Priority of the request
+   * @return {Promise}
+   */
+  getRoomHistory(roomId, params = {}, options = {}) {
+    let path = replaceTemplates(endpoints.roomHistory, {roomId});
+
+    return this._request(path, this._pickRequestOptions(options, {qs: params}))
       .then((objects) => {
         if (options.raw || this._options.raw) {
           return objects;
         }
 
-        return objects.map((object) => new models.Room(object));
+        return objects.map((object) => new models.HistoryEntry(object, this));
       });
   }
 
+  /**
+   * Iterate over the room history page by page.
+   * Returned paginator can be used with `for await` or as a stream
+   *
+   * @param {string} roomId - Room ID
+   * @param {Object} [params] - Params, see `getRoomHistory`
+   * @param {Object} [options] - Options for `getRoomHistory` and `Paginator`
+   * @return {Paginator}
+   */
+  iterateRoomHistory(roomId, params = {}, options = {}) {
+    return new Paginator((page) => this.getRoomHistory(roomId,
+        Object.assign({}, params, {page}),
+        Object.assign({priority: 'low'}, options)),
+        Object.assign({page: params.page}, options));
+  }
+
+  /**
+   * Create recorder building room history from socket events
+   *
+   * @param {Object} [options] - Options for `HistoryRecorder`
+   * @return {HistoryRecorder}
+   */
+  createHistoryRecorder(options = {}) {
+    return new HistoryRecorder(this, options);
+  }
+
+  /**
+   * Votes for the song which is currently playing in the room
+   *
+   * @param {string} roomId - Room ID
+   * @param {string} type - Vote type: updub or downdub
+   * @return {Promise}
+   * @private
+   */
+  _vote(roomId, type) {
+    if (!this._authorized) {
+      return Promise.reject(new errors.AccessDeniedError());
+    }
+    let path = replaceTemplates(endpoints.activeSongDubs, {roomId});
+
+    return this._request(path, {method: 'POST', form: {type}});
+  }
+
+  /**
+   * Updub the song which is currently playing in the room.
+   * Requires authentication
+   *
+   * @param {string} roomId - Room ID
+   * @return {Promise}
+   */
+  updub(roomId) {
+    return this._vote(roomId, 'updub');
+  }
+
+  /**
+   * Downdub the song which is currently playing in the room.
+   * Requires authentication
+   *
+   * @param {string} roomId - Room ID
+   * @return {Promise}
+   */
+  downdub(roomId) {
+    return this._vote(roomId, 'downdub');
+  }
+
+  /**
+   * Removes vote of logged in user from the song
+   * which is currently playing in the room.
+   * Requires authentication
+   *
+   * @param {string} roomId - Room ID
+   * @return {Promise}
+   */
+  removeVote(roomId) {
+    if (!this._authorized) {
+      return Promise.reject(new errors.AccessDeniedError());
+    }
+    let path = replaceTemplates(endpoints.activeSongDubs, {roomId});
+
+    return this._request(path, {method: 'DELETE'});
+  }
+
+  /**
+   * Adds the song which is currently playing in the room to the playlist.
+   * This is a sugar method: it calls `getActiveSong` to get the song
+   * and then adds it using `addSongToPlaylist`.
+   * Requires authentication
+   *
+   * @param {string} roomId - Room ID
+   * @param {string} playlistId - Playlist ID
+   * @return {Promise}
+   */
+  grab(roomId, playlistId) {
+    if (!this._authorized) {
+      return Promise.reject(new errors.AccessDeniedError());
+    }
+
+    return this.getActiveSong(roomId, {raw: true}).then((object) => {
+      if (!object || !object.songInfo) {
+        throw new errors.FatalError('Nothing is playing in the room');
+      }
+
+      return this.addSongToPlaylist(playlistId, object.songInfo.type,
+          object.songInfo.fkid);
+    });
+  }
+
   /**
    * Send chat message to the room.
    * Requires authentication
    * 
    * @param {string} roomId - Room ID
    * @param {string} message - Message to send
+   * @param {Object} [options] - Options to use in this method
+   * @param {boolean} [options.raw=false] - Do not process API requests and
+   *                                        return raw answers instead
+   * @param {string} [options.queuePriority=normal] - Priority in chat
+   * queue: high, normal or low
+   * @param {boolean} [options.queue=true] - Use chat queue if it is enabled
+   * @param {boolean|Object} [options.retry] - Override retry policy
+   * @param {string} [options.priority=high] - Priority of the request
    * @return {Promise}
    */
-  sendMessage(roomId, message) {
+  sendMessage(roomId, message, options = {}) {
     if (!this._authorized) {
       return Promise.reject(new errors.AccessDeniedError());
     }
-    let path = replaceTemplates(endpoints.chatMessage, {roomId});
 
-    return this._request(path, {method: 'POST'});
+    if (this._chatQueue && options.queue !== false) {
+      return this._chatQueue.push(`room:${roomId}`, message,
+          (text) => this._sendMessage(roomId, text, options),
+          {priority: options.queuePriority});
+    }
+
+    return this._sendMessage(roomId, message, options);
+  }
+
+  /**
+   * Get name of the room channel required to send chat messages.
+   * Joined rooms already have it, others are requested once
+   *
+   * @param {string} roomId - Room ID
+   * @param {Object} options - Options of the calling method
+   * @return {Promise}
+   * @private
+   */
+  _getRealTimeChannel(roomId, options) {
+    let room = this._rooms.get(roomId);
+    if (room && room.realTimeChannel) {
+      return Promise.resolve(room.realTimeChannel);
+    }
+    if (this._realTimeChannels.has(roomId)) {
+      return Promise.resolve(this._realTimeChannels.get(roomId));
+    }
+
+    return this.getRoom(roomId, {raw: true, retry: options.retry,
+      priority: options.priority || 'high'})
+      .then((object) => {
+        this._realTimeChannels.set(roomId, object.realTimeChannel);
+
+        return object.realTimeChannel;
+      });
+  }
+
+  /**
+   * Sends chat message to the room bypassing chat queue
+   *
+   * @param {string} roomId - Room ID
+   * @param {string} message - Message to send
+   * @param {Object} options - Options to use in this method
+   * @return {Promise}
+   * @private
+   */
+  _sendMessage(roomId, message, options) {
+    let path = replaceTemplates(endpoints.chat, {roomId});
+
+    return this._getRealTimeChannel(roomId, options)
+      .then((realTimeChannel) => {
+        let form = {
+          message,
+          realTimeChannel,
+          time: Date.now(),
+          type: 'chat-message',
+        };
+
+        return this._request(path, this._pickRequestOptions(options,
+            {method: 'POST', form, group: 'chat'}))
+          .then((object) => Object.assign({roomid: roomId}, form, object));
+      })
+      .then((object) => {
+        if (options.raw || this._options.raw) {
+          return object;
+        }
+
+        return new models.ChatMessage(object, this);
+      });
   }
 
   /**
@@ -691,13 +2163,16 @@ class DubtrackAPI extends EventEmitter {
    * @param {Object} [options]
    * @param {boolean} [options.raw=false]
    * 
+   * @param {boolean|Object} [options.retry] - Override retry policy
+   * @param {string} [options.priority] - Priority of the request
    * @return {Promise}
    */
   getOpenConversations(options = {}) {
     if (!this._authorized) {
       return Promise.reject(new errors.AccessDeniedError());
     }
-    return this._request(endpoints.conversations)
+    return this._request(endpoints.conversations,
+        this._pickRequestOptions(options))
       .then((data) => {
         if (options.raw || this._options.raw) {
           return data;
@@ -714,6 +2189,8 @@ class DubtrackAPI extends EventEmitter {
    * @param {string|string[]} userIds - User(s) involved in conversaton
    * @param {Object} [options]
    * @param {boolean} [options.raw=false]
+   * @param {boolean|Object} [options.retry] - Override retry policy
+   * @param {string} [options.priority] - Priority of the request
    * @return {Promise}
    */
   getConversation(userIds, options = {}) {
@@ -724,7 +2201,8 @@ class DubtrackAPI extends EventEmitter {
       usersid: Array.isArray(userIds)? userIds : [userIds],
     };
 
-    return this._request(endpoints.conversations, {method: 'POST', form})
+    return this._request(endpoints.conversations,
+        this._pickRequestOptions(options, {method: 'POST', form}))
       .then((object) => {
         if (options.raw || this._options.raw) {
           return object;
@@ -740,16 +2218,31 @@ class DubtrackAPI extends EventEmitter {
    * 
    * @param {string} conversationId - Conversation ID
    * @param {string} message - Message text
+   * @param {Object} [options] - Options to use in this method
+   * @param {string} [options.queuePriority=normal] - Priority in chat
+   * queue: high, normal or low
+   * @param {boolean} [options.queue=true] - Use chat queue if it is enabled
+   * @param {boolean|Object} [options.retry] - Override retry policy
+   * @param {string} [options.priority=high] - Priority of the request
    * @return {Promise}
    */
-  sendMessageToConversation(conversationId, message) {
+  sendMessageToConversation(conversationId, message, options = {}) {
     if (!this._authorized) {
       return Promise.reject(new errors.AccessDeniedError());
     }
     let path = replaceTemplates(endpoints.conversation, {conversationId});
-    let form = {message, time: Date.now()};
+    let send = (text) => this._request(path, this._pickRequestOptions(options, {
+      method: 'POST',
+      form: {message: text, time: Date.now()},
+      group: 'chat',
+    }));
+
+    if (this._chatQueue && options.queue !== false) {
+      return this._chatQueue.push(`conversation:${conversationId}`, message,
+          send, {priority: options.queuePriority});
+    }
 
-    return this._request(path, {method: 'POST', form});
+    return send(message);
   }
 
   /**
@@ -761,11 +2254,14 @@ class DubtrackAPI extends EventEmitter {
    * 
    * @param {string} userId - User ID
    * @param {string} message - Message text
+   * @param {Object} [options] - Options for `sendMessageToConversation`
+   * @param {boolean|Object} [options.retry] - Override retry policy
+   * @param {string} [options.priority] - Priority of the request
    * @return {Promise}
    */
-  sendMessageToUser(userId, message) {
+  sendMessageToUser(userId, message, options = {}) {
     return this.getConversation(userId, {raw: true}).then((conversation) =>
-        this.sendMessageToConversation(conversation._id, message));
+        this.sendMessageToConversation(conversation._id, message, options));
   }
 
   /**
@@ -834,49 +2330,116 @@ class DubtrackAPI extends EventEmitter {
   }
 
   /**
-   * Processes event
+   * Removes cached responses changed according to the event
+   *
+   * @param {Object} event - Raw event
+   * @param {string} [roomId] - ID of the room the event came from
+   * @private
+   */
+  _invalidateCache(event, roomId) {
+    let user = event.user || {};
+
+    if (event.type.includes('user-update')) {
+      this._cache.invalidate('user', user._id || user.userid);
+    } else if (event.type.includes('user_update')) {
+      this._cache.invalidate('user', user.userid);
+      this._cache.invalidate('roomUser',
+          `${user.roomid || roomId}:${user.userid}`);
+    } else if (event.type.includes('room-update') ||
+        event.type.includes('room_update')) {
+      this._cache.invalidate('room',
+          roomId || (event.room && event.room._id) || event.roomid);
+    }
+  }
+
+  /**
+   * Fetches state of joined rooms which could be changed while socket
+   * was disconnected and emits it as `backfill` event
+   *
+   * @param {number} gap - Duration of disconnection in milliseconds
+   * @return {Promise}
+   * @private
+   */
+  _backfillRooms(gap) {
+    return Promise.all(this.getJoinedRooms().map((room) => {
+      if (this._cache) {
+        this._cache.invalidate('room', room.id);
+      }
+
+      let options = {priority: 'high'};
+
+      return Promise.all([
+        this.iterateRoomUsers(room.id, options).toArray(),
+        this.getActiveSong(room.id, options),
+        this.getRoomQueue(room.id, options),
+      ]).spread((users, activeSong, queue) => {
+        if (this._cache) {
+          users.forEach((user) => this._cache.invalidate('roomUser',
+              `${room.id}:${user.userId || user.userid}`));
+        }
+
+        let event = {type: 'backfill', roomId: room.id, gap, users,
+          activeSong, queue};
+        this._emitEvent(event, room.id);
+      }).catch((err) => this._onError(err));
+    }));
+  }
+
+  /**
+   * Processes event.
+   * Event is normalized according to its definition in `DubtrackAPI.events`.
+   * Events of unknown types are emitted as is and reported by
+   * `unknown-event`, events without required fields are emitted without
+   * normalization and reported by `invalid-event`. Events without type
+   * can not be emitted and are only reported by `invalid-event`
+   * with `type` as the missing field
    * 
    * @param {Object} event 
+   * @param {string} [roomId] - ID of the room the event came from
    */
-  processEvents(event) {
-    if (!this._options.raw) {
-      event.raw = lodash.cloneDeep(event);
+  processEvents(event, roomId = null) {
+    if (this._traffic && this._traffic.event) {
+      this._traffic.event(event, roomId);
+    }
+
+    event.roomId = roomId;
 
-      if (event.type == 'chat-message') {
-        event.chatId = event.chatid;
-        event.user = new models.User(event.user);
-        event.time = new Date(event.time);
-
-        delete event.chatid;
-      } else if (event.type == 'room_playlist-dub' ||
-          event.type == 'room_playlist-queue-update-dub' ||
-          event.type == 'delete-chat-message' ||
-          event.type.includes('user-update')) {
-        event.user = new models.User(event.user);
-      } else if (event.type == 'user-join') {
-        event.user = new models.User(event.user);
-        event.roomUser = new models.RoomUser(event.roomUser, this);
-      } else if (event.type == 'user-leave') {
-        event.user = new models.User(event.user);
-        event.room = new models.Room(event.room);
-      } else if (event.type == 'room_playlist-queue-update-grabs' ||
-          event.type == 'user-pause-queue') {
-        event.user = new models.User(event.user);
-        // data.user_queue => new UserQueue
-      } else if (event.type == 'room_playlist-update') {
-        // data.song => new QueueSong => data.playlistSong, check room
-        event.song = new models.Song(event.songInfo);
-        delete event.songInfo;
-      } else if (event.type == 'user-ban') {
-        event.user = new models.User(event.kickedUser);
-        event.moderator = new models.User(event.user);
-
-        delete event.kickedUser;
-      } else if (event.type.includes('user_update')) {
-        event.user = new models.RoomUser(event.user);
+    if (typeof event.type != 'string') {
+      this.emit('invalid-event', event, 'type');
+      return;
+    }
+
+    if (this._cache) {
+      this._invalidateCache(event, roomId);
+    }
+    if (roomId && rightsEvents.test(event.type)) {
+      this._roomRights.delete(roomId);
+    }
+
+    let definition = events.find(event.type);
+    if (!definition) {
+      this.emit('unknown-event', event);
+    } else if (!this._options.raw) {
+      let missing = events.validate(definition, event);
+      event.raw = lodash.cloneDeep(event);
+      if (missing) {
+        this.emit('invalid-event', event, missing);
+      } else {
+        definition.normalize(event, this);
       }
     }
 
+    this._emitEvent(event, roomId);
+  }
+
+  /**
+   * Emits event to listeners of the API and handles of the room
+   *
+   * @param {Object} event - Processed event
+   * @param {string} [roomId] - ID of the room the event belongs to
+   * @private
+   */
+  _emitEvent(event, roomId) {
     if (this._regexpListeners.length) {
       for (let listener of this._regexpListeners) {
         if (listener.regexp.test(event.type)) {
@@ -890,9 +2453,32 @@ class DubtrackAPI extends EventEmitter {
     }
 
     this.emit(event.type, event);
+
+    if (roomId) {
+      let room = this._rooms.get(roomId);
+
+      for (let handle of this._roomHandles.values()) {
+        if (handle.matches(roomId, room)) {
+          handle.emit(event.type, event);
+        }
+      }
+    }
   }
 }
 
 DubtrackAPI.errors = errors;
+DubtrackAPI.sessionStores = sessionStores;
+DubtrackAPI.cacheStores = cacheStores;
+DubtrackAPI.CommandRouter = CommandRouter;
+DubtrackAPI.MessageQueue = MessageQueue;
+DubtrackAPI.RoomHandle = RoomHandle;
+DubtrackAPI.Paginator = Paginator;
+DubtrackAPI.PlaylistImporter = PlaylistImporter;
+DubtrackAPI.HistoryRecorder = HistoryRecorder;
+DubtrackAPI.RetryPolicy = RetryPolicy;
+DubtrackAPI.RequestScheduler = RequestScheduler;
+DubtrackAPI.ResponseCache = ResponseCache;
+DubtrackAPI.transports = transports;
+DubtrackAPI.events = events;
 
 module.exports = DubtrackAPI;
@@ -0,0 +1,137 @@
+'use strict';
+const models = require('./models');
+const EventEmitter = require('events').EventEmitter;
+
+/**
+ * Builds room history entries from socket events as songs change.
+ * Emits `entry` with `HistoryEntry` when a song stops playing
+ *
+ * @extends EventEmitter
+ */
+class HistoryRecorder extends EventEmitter {
+  /**
+   * @constructor
+   * @param {DubtrackAPI} api
+   * @param {Object} [options] - Recorder options
+   * @param {string} [options.roomId] - Record only this room
+   * @param {number} [options.limit=50] - Amount of kept entries per room
+   */
+  constructor(api, options = {}) {
+    super();
+
+    this._api = api;
+    this._roomId = options.roomId || null;
+    this._limit = options.limit || 50;
+    this._current = new Map();
+    this._entries = new Map();
+
+    this._onUpdate = (event) => this._processUpdate(event);
+    this._onVotes = (event) => this._processVotes(event);
+
+    api.on('room_playlist-update', this._onUpdate)
+      .on('room_playlist-dub', this._onVotes)
+      .on('room_playlist-queue-update-grabs', this._onVotes);
+  }
+
+  /**
+   * Get ID of the room the event came from
+   *
+   * @param {Object} event
+   * @param {Object} [song] - Raw queue song of the event
+   * @return {string|null}
+   * @private
+   */
+  _getRoomId(event, song) {
+    return event.roomId || (song && song.roomid) || null;
+  }
+
+  /**
+   * Finishes current song and starts the new one
+   *
+   * @param {Object} event - `room_playlist-update` event
+   * @private
+   */
+  _processUpdate(event) {
+    let raw = event.raw || event;
+    let roomId = this._getRoomId(event, raw.song);
+    if (!roomId || (this._roomId && this._roomId != roomId)) {
+      return;
+    }
+
+    let current = this._current.get(roomId);
+    if (current && raw.song && current._id == raw.song._id) {
+      return; // the same song, for example after reconnect
+    }
+    if (current) {
+      this._finish(roomId, current);
+    }
+
+    if (raw.song) {
+      this._current.set(roomId, Object.assign({}, raw.song, {
+        _song: raw.songInfo,
+        played: raw.song.played || raw.startTime || Date.now(),
+      }));
+    } else {
+      this._current.delete(roomId);
+    }
+  }
+
+  /**
+   * Updates vote totals of current song
+   *
+   * @param {Object} event - Vote event
+   * @private
+   */
+  _processVotes(event) {
+    let song = (event.raw || event).playlist;
+    let current = this._current.get(this._getRoomId(event, song));
+    if (!current || !song || current._id != song._id) {
+      return;
+    }
+
+    for (let field of ['updubs', 'downdubs', 'grabs']) {
+      if (song[field] !== undefined) {
+        current[field] = song[field];
+      }
+    }
+  }
+
+  /**
+   * Turns finished song into history entry
+   *
+   * @param {string} roomId - Room ID
+   * @param {Object} song - Raw finished song
+   * @private
+   */
+  _finish(roomId, song) {
+    let entry = new models.HistoryEntry(song, this._api);
+    let entries = this._entries.get(roomId) || [];
+
+    entries.unshift(entry);
+    entries.splice(this._limit);
+    this._entries.set(roomId, entries);
+
+    this.emit('entry', entry);
+  }
+
+  /**
+   * Get recorded entries of the room, the latest first
+   *
+   * @param {string} roomId - Room ID
+   * @return {HistoryEntry[]}
+   */
+  getEntries(roomId) {
+    return (this._entries.get(roomId) || []).slice();
+  }
+
+  /**
+   * Stop recording
+   */
+  stop() {
+    this._api.removeListener('room_playlist-update', this._onUpdate)
+      .removeListener('room_playlist-dub', this._onVotes)
+      .removeListener('room_playlist-queue-update-grabs', this._onVotes);
+  }
+}
+
+module.exports = HistoryRecorder;
@@ -0,0 +1,268 @@
+'use strict';
+const TokenBucket = require('./common/token-bucket');
+const errors = require('./common/errors');
+const splitText = require('./common/utils').splitText;
+const Promise = require('bluebird');
+
+const priorities = {
+  high: 0,
+  normal: 1,
+  low: 2,
+};
+
+/**
+ * Paces outgoing chat messages separately for every room and conversation
+ */
+class MessageQueue {
+  /**
+   * @constructor
+   * @param {Object} [options] - Queue options
+   * @param {number} [options.burst=3] - Amount of messages which can be sent
+   * without waiting
+   * @param {number} [options.interval=1500] - Time in milliseconds to
+   * restore the ability to send one more message
+   * @param {number} [options.maxLength=255] - Longer messages are split
+   * at word boundaries
+   * @param {number} [options.dedupeWindow=2000] - Identical messages sent
+   * to the same target within this time in milliseconds are sent once
+   * @param {number} [options.backoff=2000] - Initial delay in milliseconds
+   * after the server rejects a message because of flood
+   * @param {number} [options.maxBackoff=30000] - Maximum delay in
+   * milliseconds after the server rejects a message because of flood
+   * @param {number} [options.retries=5] - Amount of resend attempts
+   * after the server rejects a message because of flood
+   */
+  constructor(options = {}) {
+    this._options = Object.assign({
+      burst: 3,
+      interval: 1500,
+      maxLength: 255,
+      dedupeWindow: 2000,
+      backoff: 2000,
+      maxBackoff: 30000,
+      retries: 5,
+    }, options);
+
+    this._targets = new Map();
+  }
+
+  /**
+   * Get or create state of the target
+   *
+   * @param {string} key - Target key, for example `room:{roomId}`
+   * @return {Object}
+   * @private
+   */
+  _getTarget(key) {
+    let target = this._targets.get(key);
+
+    if (!target) {
+      target = {
+        bucket: new TokenBucket(this._options.burst, this._options.interval),
+        lanes: Object.keys(priorities).map(() => []),
+        recent: new Map(),
+        backoff: 0,
+        busy: false,
+        timer: null,
+      };
+      this._targets.set(key, target);
+    }
+
+    return target;
+  }
+
+  /**
+   * Checks whether the error means that the server throttles messages
+   *
+   * @param {Error} err
+   * @return {boolean}
+   * @private
+   */
+  _isFloodError(err) {
+    return err instanceof errors.RateLimitError;
+  }
+
+  /**
+   * Adds message to the queue of the target.
+   * Resolves with result of the sender or with array of results
+   * if the message was split into several parts
+   *
+   * @param {string} key - Target key, for example `room:{roomId}`
+   * @param {string} text - Message text
+   * @param {Function} sender - Function sending one part of the message
+   * and returning a promise
+   * @param {Object} [options] - Options of the message
+   * @param {string} [options.priority=normal] - Priority: high, normal or low
+   * @return {Promise}
+   */
+  push(key, text, sender, options = {}) {
+    let lane = priorities[options.priority || 'normal'];
+    if (lane === undefined) {
+      return Promise.reject(
+          new errors.FatalError(`Unknown priority "${options.priority}"`));
+    }
+
+    let now = Date.now();
+    this._forgetIdleTargets(now);
+
+    let target = this._getTarget(key);
+    let recent = target.recent.get(text);
+    if (recent && now - recent.time < this._options.dedupeWindow) {
+      return recent.promise;
+    }
+
+    let parts = splitText(String(text), this._options.maxLength);
+    let promises = parts.map((part) => new Promise((resolve, reject) => {
+      target.lanes[lane].push({text: part, sender, resolve, reject,
+        attempts: 0});
+    }));
+    let promise = (promises.length == 1) ?
+        promises[0] : Promise.all(promises);
+
+    let entry = {promise, time: now};
+    this._forgetRecent(target, now);
+    target.recent.set(text, entry);
+    promise.catch(() => {
+      // Failed message is not a duplicate of the next identical one
+      if (target.recent.get(text) === entry) {
+        target.recent.delete(text);
+      }
+    });
+    this._drain(target);
+
+    return promise;
+  }
+
+  /**
+   * Removes outdated entries used to dedupe messages
+   *
+   * @param {Object} target
+   * @param {number} now - Current timestamp
+   * @private
+   */
+  _forgetRecent(target, now) {
+    for (let entry of target.recent) {
+      if (now - entry[1].time >= this._options.dedupeWindow) {
+        target.recent.delete(entry[0]);
+      }
+    }
+  }
+
+  /**
+   * Removes state of targets which have nothing to send,
+   * nothing to dedupe and are not limited by rate
+   *
+   * @param {number} now - Current timestamp
+   * @private
+   */
+  _forgetIdleTargets(now) {
+    for (let entry of this._targets) {
+      let target = entry[1];
+      this._forgetRecent(target, now);
+
+      if (!target.busy && !target.timer && !target.recent.size &&
+          target.lanes.every((lane) => !lane.length) &&
+          target.bucket.isFull()) {
+        this._targets.delete(entry[0]);
+      }
+    }
+  }
+
+  /**
+   * Get amount of messages waiting to be sent
+   *
+   * @param {string} [key] - Target key, all targets if not specified
+   * @return {number}
+   */
+  size(key) {
+    let targets = (key) ?
+        [this._targets.get(key)].filter(Boolean) : this._targets.values();
+    let size = 0;
+
+    for (let target of targets) {
+      for (let lane of target.lanes) {
+        size += lane.length;
+      }
+    }
+
+    return size;
+  }
+
+  /**
+   * Rejects all waiting messages
+   *
+   * @param {string} [key] - Target key, all targets if not specified
+   */
+  clear(key) {
+    let keys = (key) ? [key] : Array.from(this._targets.keys());
+
+    for (let current of keys) {
+      let target = this._targets.get(current);
+      if (!target) {
+        continue;
+      }
+
+      clearTimeout(target.timer);
+      for (let lane of target.lanes) {
+        for (let item of lane.splice(0)) {
+          item.reject(new errors.FatalError('Message queue was cleared'));
+        }
+      }
+      this._targets.delete(current);
+    }
+  }
+
+  /**
+   * Sends messages of the target while rate limit allows it
+   *
+   * @param {Object} target
+   * @private
+   */
+  _drain(target) {
+    if (target.busy || target.timer) {
+      return;
+    }
+
+    let lane = target.lanes.find((lane) => lane.length);
+    if (!lane) {
+      this._forgetIdleTargets(Date.now());
+      return;
+    }
+
+    let wait = target.bucket.take();
+    if (wait) {
+      target.timer = setTimeout(() => {
+        target.timer = null;
+        this._drain(target);
+      }, wait);
+      return;
+    }
+
+    let item = lane.shift();
+    target.busy = true;
+
+    Promise.try(() => item.sender(item.text))
+      .then((result) => {
+        target.backoff = 0;
+        item.resolve(result);
+      }, (err) => {
+        if (!this._isFloodError(err) ||
+            item.attempts >= this._options.retries) {
+          item.reject(err);
+          return;
+        }
+
+        item.attempts++;
+        target.backoff = Math.min(this._options.maxBackoff,
+            (target.backoff * 2) || this._options.backoff);
+        target.bucket.pause(Math.max(target.backoff, err.retryAfter || 0));
+        lane.unshift(item);
+      })
+      .finally(() => {
+        target.busy = false;
+        this._drain(target);
+      });
+  }
+}
+
+module.exports = MessageQueue;
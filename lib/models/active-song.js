@@ -0,0 +1,32 @@
+'use strict';
+const QueueSong = require('./queue-song');
+const Song = require('./song');
+
+/**
+ * Represents a song which is currently playing in the room
+ *
+ * @extends QueueSong
+ */
+class ActiveSong extends QueueSong {
+  /**
+   * Constructs object from raw data returned by Dubtrack API
+   *
+   * @param {Object} activeObject
+   * @param {DubtrackAPI} api
+   */
+  constructor(activeObject, api) {
+    super(activeObject.song, api);
+    this.raw = activeObject;
+
+    if (activeObject.songInfo) {
+      this.song = new Song(activeObject.songInfo);
+    }
+    this.startTime = new Date(activeObject.startTime);
+
+    this.updubs = Number(activeObject.song.updubs) || 0;
+    this.downdubs = Number(activeObject.song.downdubs) || 0;
+    this.grabs = Number(activeObject.song.grabs) || 0;
+  }
+}
+
+module.exports = ActiveSong;
@@ -0,0 +1,76 @@
+'use strict';
+const Base = require('./base');
+const User = require('./user');
+const copyWithout = require('../common/utils').copyWithout;
+
+const excluded = [
+  '_id', 'chatid', 'message', 'time', 'user', 'userid', 'roomid',
+  'roomId', 'queue_object', 'type', 'realTimeChannel', '__v',
+];
+
+/**
+ * Represents a chat message sent to a room
+ */
+class ChatMessage extends Base {
+  /**
+   * Constructs object from raw data returned by Dubtrack API
+   *
+   * @param {Object} messageObject
+   * @param {DubtrackAPI} api
+   */
+  constructor(messageObject, api) {
+    super(messageObject);
+
+    this.id = messageObject.chatid || messageObject._id;
+    this.text = messageObject.message;
+    this.time = new Date(messageObject.time);
+
+    this.user = null; // does not exist in answer to sent message
+    this.userId = messageObject.userid || null;
+    if (typeof messageObject.user == 'object' && messageObject.user != null) {
+      this.user = new User(messageObject.user, api);
+      this.userId = this.user.id;
+    }
+
+    this.roomId = messageObject.roomid || null;
+    if (messageObject.queue_object) {
+      this.roomId = messageObject.queue_object.roomid;
+    }
+
+    copyWithout(messageObject, this, excluded);
+
+    Object.defineProperty(this, '_api', {
+      enumerable: false,
+      configurable: false,
+      writable: false,
+      value: api,
+    });
+  }
+
+  /**
+   * Reply to the message in the same room mentioning its author
+   *
+   * @param {string} text - Reply text
+   * @return {Promise}
+   */
+  reply(text) {
+    if (this.user) {
+      text = `@${this.user.username} ${text}`;
+    }
+
+    return this._api.sendMessage(this.roomId, text);
+  }
+
+  /**
+   * Delete the message.
+   * Requires moderator or higher role if the message
+   * was sent by other user
+   *
+   * @return {Promise}
+   */
+  delete() {
+    return this._api.deleteMessage(this.roomId, this.id);
+  }
+}
+
+module.exports = ChatMessage;
@@ -26,7 +26,7 @@ class Conversation extends Base {
       this.users = null;
     } else {
       this.userIds = obj.usersid.map((userObj) => userObj._id);
-      this.users = obj.usersid.map((userObj) => new User(userObj));
+      this.users = obj.usersid.map((userObj) => new User(userObj, api));
     }
 
     Object.defineProperty(this, '_api', {
@@ -47,7 +47,8 @@ class Conversation extends Base {
       return Promise.resolve(this.users);
     }
 
-    return Promise.all(this.userIds.map(this._api.getUser.bind(this._api)))
+    return Promise.all(this.userIds.map((userId) =>
+      this._api.getUser(userId, {priority: 'low'})))
       .then((users) => {
         this.users = users;
         return users;
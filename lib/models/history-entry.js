@@ -0,0 +1,25 @@
+'use strict';
+const QueueSong = require('./queue-song');
+
+/**
+ * Represents a song played in the room with its final vote totals
+ *
+ * @extends QueueSong
+ */
+class HistoryEntry extends QueueSong {
+  /**
+   * Constructs object from raw data returned by Dubtrack API
+   *
+   * @param {Object} songObject
+   * @param {DubtrackAPI} api
+   */
+  constructor(songObject, api) {
+    super(songObject, api);
+
+    this.updubs = Number(songObject.updubs) || 0;
+    this.downdubs = Number(songObject.downdubs) || 0;
+    this.grabs = Number(songObject.grabs) || 0;
+  }
+}
+
+module.exports = HistoryEntry;
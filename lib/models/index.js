@@ -3,4 +3,12 @@ module.exports.User = require('./user');
 module.exports.Room = require('./room');
 module.exports.RoomUser = require('./room-user');
 module.exports.Song = require('./song');
+module.exports.Playlist = require('./playlist');
+module.exports.PlaylistSong = require('./playlist-song');
 module.exports.Conversation = require('./conversation');
+module.exports.QueueSong = require('./queue-song');
+module.exports.UserQueue = require('./user-queue');
+module.exports.ActiveSong = require('./active-song');
+module.exports.Role = require('./role');
+module.exports.ChatMessage = require('./chat-message');
+module.exports.HistoryEntry = require('./history-entry');
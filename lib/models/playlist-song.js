@@ -13,16 +13,45 @@ class PlaylistSong extends Base {
    * Constructs object from raw data returned by Dubtrack API
    * 
    * @param {Object} songObject
+   * @param {DubtrackAPI} api
    */
-  constructor(songObject) {
+  constructor(songObject, api) {
     super(songObject);
 
+    this.id = songObject._id;
     this.songId = songObject.songid;
     this.playlistId = songObject.playlistid;
     this.song = new Song(songObject._song);
     this.added = new Date(songObject.added);
 
     copyWithout(songObject, this, excluded);
+
+    Object.defineProperty(this, '_api', {
+      enumerable: false,
+      configurable: false,
+      writable: false,
+      value: api,
+    });
+  }
+
+  /**
+   * Remove the song from its playlist
+   *
+   * @return {Promise}
+   */
+  remove() {
+    return this._api.removePlaylistSong(this.playlistId, this.id);
+  }
+
+  /**
+   * Queue the song in the room.
+   * Requires authentication
+   *
+   * @param {string} roomId - Room ID
+   * @return {Promise}
+   */
+  queue(roomId) {
+    return this._api.queueSong(roomId, this.song.type, this.song.fkid);
   }
 }
 
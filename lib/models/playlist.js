@@ -7,15 +7,16 @@ const excluded = [
 ];
 
 /**
- * 
+ * Represents a playlist of logged in user
  */
 class Playlist extends Base {
   /**
-   * 
+   * Constructs object from raw data returned by Dubtrack API
    * 
    * @param {Object} playlistObject
+   * @param {DubtrackAPI} api
    */
-  constructor(playlistObject) {
+  constructor(playlistObject, api) {
     super(playlistObject);
 
     this.id = playlistObject._id;
@@ -23,6 +24,86 @@ class Playlist extends Base {
     this.created = new Date(playlistObject.created);
 
     copyWithout(playlistObject, this, excluded);
+
+    Object.defineProperty(this, '_api', {
+      enumerable: false,
+      configurable: false,
+      writable: false,
+      value: api,
+    });
+  }
+
+  /**
+   * Get songs of the playlist
+   *
+   * @param {Object} [params] - Params for `DubtrackAPI#getPlaylistSongs`
+   * @param {Object} [options] - Options for `DubtrackAPI#getPlaylistSongs`
+   * @return {Promise}
+   */
+  getSongs(params, options) {
+    return this._api.getPlaylistSongs(this.id, params, options);
+  }
+
+  /**
+   * Iterate over all songs of the playlist page by page
+   *
+   * @param {Object} [params] - Params for `DubtrackAPI#iteratePlaylistSongs`
+   * @param {Object} [options] - Options for `DubtrackAPI#iteratePlaylistSongs`
+   * @return {Paginator}
+   */
+  iterateSongs(params, options) {
+    return this._api.iteratePlaylistSongs(this.id, params, options);
+  }
+
+  /**
+   * Add song to the playlist
+   *
+   * @param {string} type - Source of the song: youtube or soundcloud
+   * @param {string} fkid - ID of the song on youtube or soundcloud
+   * @return {Promise}
+   */
+  addSong(type, fkid) {
+    return this._api.addSongToPlaylist(this.id, type, fkid);
+  }
+
+  /**
+   * Remove song from the playlist
+   *
+   * @param {string} songId - Playlist song ID, see `PlaylistSong#id`
+   * @return {Promise}
+   */
+  removeSong(songId) {
+    return this._api.removePlaylistSong(this.id, songId);
+  }
+
+  /**
+   * Export the playlist with all its songs
+   *
+   * @param {string} [format=json] - Format: json, csv or m3u
+   * @return {Promise}
+   */
+  export(format) {
+    return this._api.exportPlaylist(this.id, format);
+  }
+
+  /**
+   * Converge the playlist to the manifest
+   *
+   * @param {string|Object|Object[]} manifest - See `DubtrackAPI#syncPlaylist`
+   * @param {Object} [options] - Options for `DubtrackAPI#syncPlaylist`
+   * @return {Promise}
+   */
+  sync(manifest, options) {
+    return this._api.syncPlaylist(this.id, manifest, options);
+  }
+
+  /**
+   * Delete the playlist
+   *
+   * @return {Promise}
+   */
+  delete() {
+    return this._api.deletePlaylist(this.id);
   }
 }
 
@@ -0,0 +1,70 @@
+'use strict';
+const Base = require('./base');
+const Song = require('./song');
+const User = require('./user');
+const copyWithout = require('../common/utils').copyWithout;
+
+const excluded = [
+  '_id', 'roomid', 'userid', 'songid', '_song', '_user', 'created', 'played',
+  '__v',
+];
+
+/**
+ * Represents a song in the room queue
+ */
+class QueueSong extends Base {
+  /**
+   * Constructs object from raw data returned by Dubtrack API
+   *
+   * @param {Object} songObject
+   * @param {DubtrackAPI} api
+   */
+  constructor(songObject, api) {
+    super(songObject);
+
+    this.id = songObject._id;
+    this.roomId = songObject.roomid;
+    this.userId = songObject.userid;
+    this.songId = songObject.songid;
+    this.created = new Date(songObject.created);
+
+    this.played = null; // does not exist for songs which were not played yet
+    if (songObject.played) {
+      this.played = new Date(songObject.played);
+    }
+
+    this.song = null;
+    if (typeof songObject._song == 'object' && songObject._song != null) {
+      this.song = new Song(songObject._song);
+    }
+
+    this.user = null;
+    if (typeof songObject._user == 'object' && songObject._user != null) {
+      this.user = new User(songObject._user, api);
+    }
+
+    copyWithout(songObject, this, excluded);
+
+    Object.defineProperty(this, '_api', {
+      enumerable: false,
+      configurable: false,
+      writable: false,
+      value: api,
+    });
+  }
+
+  /**
+   * Get the user who queued the song
+   *
+   * @return {Promise}
+   */
+  getUser() {
+    if (this.user) {
+      return Promise.resolve(this.user);
+    }
+
+    return this._api.getUser(this.userId);
+  }
+}
+
+module.exports = QueueSong;
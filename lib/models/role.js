@@ -2,6 +2,7 @@
 const Base = require('./base');
 const roles = require('../common/roles');
 const merge = require('lodash/merge');
+const find = require('lodash/find');
 
 /**
  * 
@@ -22,6 +23,19 @@ class Role extends Base {
     merge(this, roles[role]);
   }
 
+  /**
+   * Finds role by its type
+   *
+   * @param {string} roleType - Role type: co-owner, manager, mod, vip,
+   * resident-dj, dj or user
+   * @return {Role|null}
+   */
+  static fromType(roleType) {
+    let role = find(roles, {type: roleType});
+
+    return (role) ? new Role(role.id) : null;
+  }
+
   /**
    * Checks role
    * 
@@ -33,6 +47,19 @@ class Role extends Base {
     return (this.type == roleType);
   }
 
+  /**
+   * Checks that role is the same or higher than specified one
+   *
+   * @param {string} roleType - Role type: co-owner, manager, mod, vip,
+   * resident-dj, dj or user
+   * @return {bool}
+   */
+  isAtLeast(roleType) {
+    let role = find(roles, {type: roleType});
+
+    return Boolean(role) && this.level >= role.level;
+  }
+
   /**
    * Checks right
    * 
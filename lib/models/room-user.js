@@ -28,7 +28,7 @@ class RoomUser extends Base {
 
     this.user = null; // does not exist in event with room user
     if (typeof userObject._user == 'object') {
-      this.user = new User(userObject._user);
+      this.user = new User(userObject._user, api);
     }
 
     copyWithout(userObject, this, excluded);
@@ -16,12 +16,13 @@ class Room extends Base {
    * Constructs object from raw data returned by Dubtrack API
    * 
    * @param {Object} roomObject
+   * @param {DubtrackAPI} [api]
    */
-  constructor(roomObject) {
+  constructor(roomObject, api) {
     super(roomObject);
 
     this.id = roomObject._id;
-    this.user = new User(roomObject._user);
+    this.user = new User(roomObject._user, api);
     this.created = new Date(roomObject.created);
     this.updated = new Date(roomObject.updated);
 
@@ -0,0 +1,28 @@
+'use strict';
+const Base = require('./base');
+const copyWithout = require('../common/utils').copyWithout;
+
+const excluded = ['_id', 'roomid', 'userid', 'queuePaused', '__v'];
+
+/**
+ * Represents state of user's queue in a specific room
+ */
+class UserQueue extends Base {
+  /**
+   * Constructs object from raw data returned by Dubtrack API
+   *
+   * @param {Object} queueObject
+   */
+  constructor(queueObject) {
+    super(queueObject);
+
+    this.id = queueObject._id;
+    this.roomId = queueObject.roomid;
+    this.userId = queueObject.userid;
+    this.paused = Boolean(queueObject.queuePaused);
+
+    copyWithout(queueObject, this, excluded);
+  }
+}
+
+module.exports = UserQueue;
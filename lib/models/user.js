@@ -15,8 +15,9 @@ class User extends Base {
    * Constructs object from raw data returned by Dubtrack API
    * 
    * @param {Object} userObject
+   * @param {DubtrackAPI} api
    */
-  constructor(userObject) {
+  constructor(userObject, api) {
     super(userObject);
 
     this.id = userObject._id;
@@ -28,6 +29,76 @@ class User extends Base {
     }
 
     copyWithout(userObject, this, excluded);
+
+    Object.defineProperty(this, '_api', {
+      enumerable: false,
+      configurable: false,
+      writable: false,
+      value: api,
+    });
+  }
+
+  /**
+   * Follow the user.
+   * Requires authentication
+   *
+   * @return {Promise}
+   */
+  follow() {
+    return this._api.followUser(this.id);
+  }
+
+  /**
+   * Unfollow the user.
+   * Requires authentication
+   *
+   * @return {Promise}
+   */
+  unfollow() {
+    return this._api.unfollowUser(this.id);
+  }
+
+  /**
+   * Get followers of the user
+   *
+   * @param {Object} [params] - Params for `DubtrackAPI#getUserFollowers`
+   * @return {Promise}
+   */
+  getFollowers(params) {
+    return this._api.getUserFollowers(this.id, params);
+  }
+
+  /**
+   * Send private message to the user.
+   * Requires authentication
+   *
+   * @param {string} message - Message text
+   * @param {Object} [options] - Options for `DubtrackAPI#sendMessageToUser`
+   * @return {Promise}
+   */
+  sendMessage(message, options) {
+    return this._api.sendMessageToUser(this.id, message, options);
+  }
+
+  /**
+   * Get the user image as stream
+   *
+   * @param {bool} [large=false] - Should return large version
+   * @return {Stream}
+   */
+  getImage(large) {
+    return this._api.getUserImage(this.id, large);
+  }
+
+  /**
+   * Download the user image to file
+   *
+   * @param {string} filePath - Path to file
+   * @param {bool} [large=false] - Should return large version
+   * @return {Promise}
+   */
+  downloadImage(filePath, large) {
+    return this._api.downloadUserImage(this.id, filePath, large);
   }
 }
 
@@ -0,0 +1,162 @@
+'use strict';
+const Promise = require('bluebird');
+const Readable = require('stream').Readable;
+
+const asyncIterator = Symbol.asyncIterator ||
+    Symbol.for('Symbol.asyncIterator');
+
+/**
+ * Walks through all pages of a list endpoint.
+ * Can be used with `for await` or as a readable stream.
+ * Stops when a page is empty or shorter than `pageSize`.
+ * Endpoints without pagination ignore page number and should be used
+ * with `paginated: false` to request a single page
+ */
+class Paginator {
+  /**
+   * @constructor
+   * @param {Function} fetchPage - Function receiving page number and
+   * returning a promise of array of items
+   * @param {Object} [options] - Paginator options
+   * @param {number} [options.page=1] - Page to start from
+   * @param {number} [options.pageSize] - Expected amount of items on a full
+   * page, the page with fewer items is considered as the last one
+   * @param {number} [options.limit] - Stop after this amount of items
+   * @param {Function} [options.filter] - Skip items not matching predicate
+   * @param {boolean} [options.paginated=true] - Whether the list is split
+   * into pages, only the first page is requested otherwise
+   */
+  constructor(fetchPage, options = {}) {
+    this._fetchPage = fetchPage;
+    this._page = options.page || 1;
+    this._pageSize = options.pageSize || 0;
+    this._limit = options.limit || Infinity;
+    this._filter = options.filter || null;
+    this._paginated = options.paginated !== false;
+    this._buffer = [];
+    this._returned = 0;
+    this._done = false;
+    this._pending = Promise.resolve();
+  }
+
+  /**
+   * Requests the next page and fills the buffer
+   *
+   * @return {Promise}
+   * @private
+   */
+  _fill() {
+    return this._fetchPage(this._page).then((items) => {
+      items = items || [];
+      this._page++;
+
+      if (!this._paginated || !items.length ||
+          (this._pageSize && items.length < this._pageSize)) {
+        this._done = true;
+      }
+
+      this._buffer = (this._filter) ? items.filter(this._filter) : items;
+    });
+  }
+
+  /**
+   * Get the next item
+   *
+   * @return {Promise}
+   * @private
+   */
+  _next() {
+    if (this._returned >= this._limit) {
+      this._done = true;
+      this._buffer = [];
+    }
+    if (this._buffer.length) {
+      this._returned++;
+
+      return Promise.resolve({value: this._buffer.shift(), done: false});
+    }
+    if (this._done) {
+      return Promise.resolve({value: undefined, done: true});
+    }
+
+    return this._fill().then(() => this._next());
+  }
+
+  /**
+   * Get the next item in iterator protocol format
+   *
+   * @return {Promise}
+   */
+  next() {
+    this._pending = this._pending.catch(() => {}).then(() => this._next());
+
+    return this._pending;
+  }
+
+  /**
+   * Stop requesting pages
+   *
+   * @return {Promise}
+   */
+  return() {
+    this.stop();
+
+    return Promise.resolve({value: undefined, done: true});
+  }
+
+  /**
+   * Stop requesting pages
+   */
+  stop() {
+    this._done = true;
+    this._buffer = [];
+  }
+
+  /**
+   * Collect all remaining items
+   *
+   * @return {Promise}
+   */
+  toArray() {
+    let items = [];
+    let step = () => this.next().then((result) => {
+      if (result.done) {
+        return items;
+      }
+
+      items.push(result.value);
+      return step();
+    });
+
+    return step();
+  }
+
+  /**
+   * Get readable stream of remaining items in object mode
+   *
+   * @return {Readable}
+   */
+  stream() {
+    let stream = new Readable({
+      objectMode: true,
+      read: () => {
+        this.next().then((result) => {
+          stream.push(result.done ? null : result.value);
+        }, (err) => stream.emit('error', err));
+      },
+    });
+
+    stream.on('close', () => this.stop());
+
+    return stream;
+  }
+
+  /**
+   * @return {Paginator}
+   */
+  [asyncIterator]() {
+    return this;
+  }
+}
+
+module.exports = Paginator;
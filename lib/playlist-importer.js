@@ -0,0 +1,149 @@
+'use strict';
+const playlistFormats = require('./common/playlist-formats');
+const EventEmitter = require('events').EventEmitter;
+const Promise = require('bluebird');
+
+/**
+ * Imports songs into a new or existing playlist one by one.
+ * Songs which are already in the playlist are skipped,
+ * so failed import can be resumed using its `state`
+ *
+ * @extends EventEmitter
+ */
+class PlaylistImporter extends EventEmitter {
+  /**
+   * @constructor
+   * @param {DubtrackAPI} api
+   * @param {string|Object} data - Serialized playlist or object with `name`
+   * and `songs` entries having `type` and `fkid`
+   * @param {Object} [options] - Import options
+   * @param {string} [options.format] - Format of serialized playlist: json,
+   * csv or m3u, detected automatically if not specified
+   * @param {string} [options.name] - Name of the created playlist
+   * @param {string} [options.playlistId] - Import into existing playlist
+   * @param {Object} [options.state] - State of failed import to resume
+   */
+  constructor(api, data, options = {}) {
+    super();
+
+    this._api = api;
+
+    let playlist = (typeof data == 'string') ?
+        playlistFormats.parse(data, options.format) : data;
+
+    this.name = options.name || playlist.name || 'Imported playlist';
+    this.songs = playlist.songs;
+    this.state = Object.assign({
+      playlistId: options.playlistId || null,
+      index: 0,
+    }, options.state);
+    this.added = [];
+    this.skipped = [];
+  }
+
+  /**
+   * Creates playlist if needed
+   *
+   * @return {Promise}
+   * @private
+   */
+  _preparePlaylist() {
+    if (this.state.playlistId) {
+      return Promise.resolve(false);
+    }
+
+    return this._api.createPlaylist(this.name).then((object) => {
+      this.state.playlistId = object._id;
+      this.emit('playlist', object._id);
+
+      return true;
+    });
+  }
+
+  /**
+   * Gets keys of songs which are already in the playlist
+   *
+   * @param {boolean} created - Whether the playlist was just created
+   * @return {Promise}
+   * @private
+   */
+  _loadExisting(created) {
+    if (created) {
+      return Promise.resolve(new Set());
+    }
+
+    return this._api
+      .iteratePlaylistSongs(this.state.playlistId, {}, {raw: true})
+      .toArray()
+      .then((objects) => new Set(objects.map((object) =>
+          `${object._song.type}:${object._song.fkid}`)));
+  }
+
+  /**
+   * Imports remaining songs one by one
+   *
+   * @param {Set} existing - Keys of songs which are in the playlist
+   * @return {Promise}
+   * @private
+   */
+  _importRemaining(existing) {
+    if (this.state.index >= this.songs.length) {
+      return Promise.resolve();
+    }
+
+    let entry = this.songs[this.state.index];
+    let key = `${entry.type}:${entry.fkid}`;
+    let step;
+
+    if (existing.has(key)) {
+      this.skipped.push({entry, reason: 'duplicate'});
+      this.emit('skip', entry, 'duplicate');
+      step = Promise.resolve();
+    } else {
+      step = this._api
+        .addSongToPlaylist(this.state.playlistId, entry.type, entry.fkid)
+        .then(() => {
+          existing.add(key);
+          this.added.push(entry);
+        });
+    }
+
+    return step.then(() => {
+      this.state.index++;
+      this.emit('progress', {
+        done: this.state.index,
+        total: this.songs.length,
+        added: this.added.length,
+        skipped: this.skipped.length,
+        entry,
+      });
+
+      return this._importRemaining(existing);
+    });
+  }
+
+  /**
+   * Run the import.
+   * On failure the error gets `state` property which can be passed
+   * as `options.state` to resume the import
+   *
+   * @return {Promise}
+   */
+  run() {
+    return this._preparePlaylist()
+      .then((created) => this._loadExisting(created))
+      .then((existing) => this._importRemaining(existing))
+      .then(() => ({
+        playlistId: this.state.playlistId,
+        total: this.songs.length,
+        added: this.added,
+        skipped: this.skipped,
+      }))
+      .catch((err) => {
+        err.state = Object.assign({}, this.state);
+        throw err;
+      });
+  }
+}
+
+module.exports = PlaylistImporter;
@@ -0,0 +1,235 @@
+'use strict';
+const TokenBucket = require('./common/token-bucket');
+const errors = require('./common/errors');
+const Promise = require('bluebird');
+
+const priorities = {
+  high: 0,
+  normal: 1,
+  low: 2,
+};
+
+const defaultGroups = {
+  read: {burst: 10, interval: 500},
+  write: {burst: 5, interval: 1000},
+  chat: {burst: 3, interval: 1500},
+};
+
+/**
+ * Limits rate and concurrency of requests to Dubtrack API.
+ * Requests are rate limited per endpoint group and sent in priority order,
+ * so chat messages are not delayed by bulk reads
+ */
+class RequestScheduler {
+  /**
+   * @constructor
+   * @param {Object} [options] - Scheduler options
+   * @param {number} [options.concurrency=4] - Maximum amount of requests
+   * in progress
+   * @param {Object} [options.groups] - Rate limits of endpoint groups
+   * by group name, every limit is an object with `burst` and `interval`.
+   * Merged with default `read`, `write` and `chat` groups
+   * @param {number} [options.backoff=5000] - Delay in milliseconds after
+   * rate-limit response without `Retry-After`
+   * @param {number} [options.retries=3] - Amount of resend attempts
+   * after rate-limit responses
+   */
+  constructor(options = {}) {
+    this._options = Object.assign({
+      concurrency: 4,
+      backoff: 5000,
+      retries: 3,
+    }, options);
+
+    this._groups = new Map();
+    let groups = Object.assign({}, defaultGroups, options.groups);
+    for (let name in groups) {
+      if (groups.hasOwnProperty(name)) {
+        this._groups.set(name, {
+          bucket: new TokenBucket(groups[name].burst, groups[name].interval),
+          pending: 0,
+          rateLimited: 0,
+        });
+      }
+    }
+
+    this._lanes = Object.keys(priorities).map(() => []);
+    this._active = 0;
+    this._timer = null;
+    this._timerTime = 0;
+    this._started = 0;
+    this._waitTotal = 0;
+    this._waitMax = 0;
+  }
+
+  /**
+   * Adds the request to the queue.
+   * Resolves with result of the task
+   *
+   * @param {Function} task - Function making the request and returning
+   * a promise
+   * @param {Object} [options] - Options of the request
+   * @param {string} [options.group=read] - Endpoint group
+   * @param {string} [options.priority=normal] - Priority: high, normal or low
+   * @return {Promise}
+   */
+  schedule(task, options = {}) {
+    let group = this._groups.get(options.group || 'read');
+    if (!group) {
+      return Promise.reject(
+          new errors.FatalError(`Unknown request group "${options.group}"`));
+    }
+
+    let lane = priorities[options.priority || 'normal'];
+    if (lane === undefined) {
+      return Promise.reject(
+          new errors.FatalError(`Unknown priority "${options.priority}"`));
+    }
+
+    return new Promise((resolve, reject) => {
+      this._lanes[lane].push({task, group, lane, resolve, reject,
+        attempts: 0, queued: Date.now()});
+      group.pending++;
+      this._drain();
+    });
+  }
+
+  /**
+   * Checks whether the server rejected the request because of rate limit
+   *
+   * @param {Error} err
+   * @return {boolean}
+   * @private
+   */
+  _isRateLimitError(err) {
+    return err instanceof errors.RateLimitError;
+  }
+
+  /**
+   * Starts queued requests while concurrency and rate limits allow it
+   *
+   * @private
+   */
+  _drain() {
+    let wait = Infinity;
+
+    for (let lane of this._lanes) {
+      for (let i = 0; i < lane.length &&
+          this._active < this._options.concurrency; i++) {
+        let item = lane[i];
+        let delay = item.group.bucket.take();
+
+        if (delay) {
+          wait = Math.min(wait, delay);
+          continue;
+        }
+
+        lane.splice(i--, 1);
+        this._run(item);
+      }
+    }
+
+    if (wait != Infinity && this._active < this._options.concurrency) {
+      this._wakeUpIn(wait);
+    }
+  }
+
+  /**
+   * Plans the next drain
+   *
+   * @param {number} delay - Time in milliseconds
+   * @private
+   */
+  _wakeUpIn(delay) {
+    let time = Date.now() + delay;
+    if (this._timer && this._timerTime <= time) {
+      return;
+    }
+
+    clearTimeout(this._timer);
+    this._timerTime = time;
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this._drain();
+    }, delay);
+  }
+
+  /**
+   * Runs the request and handles rate-limit responses
+   *
+   * @param {Object} item - Queued request
+   * @private
+   */
+  _run(item) {
+    let wait = Date.now() - item.queued;
+    this._waitTotal += wait;
+    this._waitMax = Math.max(this._waitMax, wait);
+    this._started++;
+    this._active++;
+
+    Promise.try(item.task)
+      .then((result) => {
+        item.group.pending--;
+        item.resolve(result);
+      }, (err) => {
+        if (!this._isRateLimitError(err) ||
+            item.attempts >= this._options.retries) {
+          item.group.pending--;
+          item.reject(err);
+          return;
+        }
+
+        item.attempts++;
+        item.group.rateLimited++;
+        item.group.bucket.pause(err.retryAfter || this._options.backoff);
+        item.queued = Date.now();
+        this._lanes[item.lane].unshift(item);
+      })
+      .finally(() => {
+        this._active--;
+        this._drain();
+      });
+  }
+
+  /**
+   * Get queue depth and wait time statistics
+   *
+   * @return {Object}
+   */
+  getStats() {
+    let groups = {};
+    for (let entry of this._groups) {
+      groups[entry[0]] = {
+        pending: entry[1].pending,
+        rateLimited: entry[1].rateLimited,
+      };
+    }
+
+    return {
+      active: this._active,
+      queued: this._lanes.reduce((sum, lane) => sum + lane.length, 0),
+      started: this._started,
+      averageWait: (this._started) ?
+          Math.round(this._waitTotal / this._started) : 0,
+      maxWait: this._waitMax,
+      groups,
+    };
+  }
+
+  /**
+   * Rejects all queued requests
+   */
+  clear() {
+    clearTimeout(this._timer);
+    this._timer = null;
+
+    for (let lane of this._lanes) {
+      for (let item of lane.splice(0)) {
+        item.group.pending--;
+        item.reject(new errors.FatalError('Request queue was cleared'));
+      }
+    }
+  }
+}
+
+module.exports = RequestScheduler;
@@ -0,0 +1,196 @@
+'use strict';
+const MemoryCacheStore = require('./cache-stores/memory');
+const lodash = require('lodash');
+const Promise = require('bluebird');
+
+const aliases = {
+  user: (object) => [object._id, object.username],
+  room: (object) => [object._id, object.roomUrl],
+  roomUser: (object) => [`${object.roomid}:${object.userid}`],
+};
+
+/**
+ * Caches raw API responses for a limited time.
+ * Identical requests made while the first one is in progress share its result
+ */
+class ResponseCache {
+  /**
+   * @constructor
+   * @param {Object} [options] - Cache options
+   * @param {Object} [options.store] - Store with `get`, `set`, `delete` and
+   * `clear` methods returning promises, `MemoryCacheStore` by default
+   * @param {number} [options.ttl=60000] - Time to live in milliseconds
+   * @param {Object} [options.ttls] - Time to live by response type:
+   * user, room or roomUser
+   */
+  constructor(options = {}) {
+    this._store = options.store || new MemoryCacheStore();
+    this._ttl = options.ttl || 60000;
+    this._ttls = options.ttls || {};
+    this._inflight = new Map();
+    // sequence numbers of the latest invalidations by key,
+    // kept only while something is loading
+    this._sequence = 0;
+    this._invalidated = new Map();
+    this._clearedAt = 0;
+    this._loading = 0;
+  }
+
+  /**
+   * Builds cache key
+   *
+   * @param {string} type - Response type
+   * @param {string} identifier - Identifier of the requested object
+   * @return {string}
+   * @private
+   */
+  _getKey(type, identifier) {
+    return `${type}:${identifier}`;
+  }
+
+  /**
+   * Get all keys the object can be requested by
+   *
+   * @param {string} type - Response type
+   * @param {Object} object - Raw object
+   * @return {string[]}
+   * @private
+   */
+  _getAliasKeys(type, object) {
+    return (aliases[type] || (() => []))(object)
+      .filter(Boolean)
+      .map((identifier) => this._getKey(type, identifier));
+  }
+
+  /**
+   * Checks whether any key of the object was invalidated after
+   * the load had started
+   *
+   * @param {string[]} keys - Keys of the object
+   * @param {number} started - Sequence number at the start of the load
+   * @return {boolean}
+   * @private
+   */
+  _isInvalidated(keys, started) {
+    return this._clearedAt > started ||
+        keys.some((key) => (this._invalidated.get(key) || 0) > started);
+  }
+
+  /**
+   * Get cached response or load it.
+   * Resolves with a copy of the raw object
+   *
+   * @param {string} type - Response type: user, room or roomUser
+   * @param {string} identifier - Identifier of the requested object
+   * @param {Function} loader - Function requesting the object
+   * @param {Object} [options]
+   * @param {boolean} [options.bypass=false] - Request the object even if
+   * it is cached and cache the new response
+   * @return {Promise}
+   */
+  fetch(type, identifier, loader, options = {}) {
+    let key = this._getKey(type, identifier);
+    if (!options.bypass && this._inflight.has(key)) {
+      return this._inflight.get(key).then(lodash.cloneDeep);
+    }
+
+    let started = this._sequence;
+    let cached = (options.bypass) ?
+        Promise.resolve() : Promise.resolve(this._store.get(key))
+          .catch(() => undefined);
+    let promise = cached.then((object) => {
+      if (object !== undefined) {
+        return object;
+      }
+
+      this._loading++;
+
+      return Promise.try(loader).then((object) => {
+        let keys = [key].concat(this._getAliasKeys(type, object));
+        if (this._isInvalidated(keys, started)) {
+          return object; // invalidated while loading
+        }
+
+        return this._save(type, key, object).thenReturn(object);
+      }).finally(() => {
+        if (--this._loading == 0) {
+          this._invalidated.clear();
+        }
+      });
+    }).finally(() => {
+      if (this._inflight.get(key) === promise) {
+        this._inflight.delete(key);
+      }
+    });
+
+    if (!options.bypass) {
+      this._inflight.set(key, promise);
+    }
+
+    return promise.then(lodash.cloneDeep);
+  }
+
+  /**
+   * Saves response under all its keys
+   *
+   * @param {string} type - Response type
+   * @param {string} key - Requested key
+   * @param {Object} object - Raw object
+   * @return {Promise}
+   * @private
+   */
+  _save(type, key, object) {
+    let ttl = this._ttls[type] || this._ttl;
+    let keys = new Set([key].concat(this._getAliasKeys(type, object)));
+
+    return Promise.all(Array.from(keys)
+      .map((current) => this._store.set(current, object, ttl)))
+      .catch(() => {});
+  }
+
+  /**
+   * Removes cached response under all its keys
+   *
+   * @param {string} type - Response type: user, room or roomUser
+   * @param {string} identifier - Identifier of the object
+   * @return {Promise}
+   */
+  invalidate(type, identifier) {
+    if (!identifier) {
+      return Promise.resolve();
+    }
+
+    let key = this._getKey(type, identifier);
+    this._inflight.delete(key);
+    if (this._loading) {
+      this._invalidated.set(key, ++this._sequence);
+    }
+
+    return Promise.resolve(this._store.get(key))
+      .catch(() => undefined)
+      .then((object) => {
+        let keys = new Set([key]);
+        if (object) {
+          this._getAliasKeys(type, object).forEach((alias) => keys.add(alias));
+        }
+
+        return Promise.all(Array.from(keys)
+          .map((current) => this._store.delete(current)));
+      })
+      .return();
+  }
+
+  /**
+   * Removes all cached responses
+   *
+   * @return {Promise}
+   */
+  clear() {
+    this._clearedAt = ++this._sequence;
+    this._inflight.clear();
+
+    return Promise.resolve(this._store.clear());
+  }
+}
+
+module.exports = ResponseCache;
@@ -0,0 +1,480 @@
+'use strict';
+const models = require('./models');
+const EventEmitter = require('events').EventEmitter;
+const Promise = require('bluebird');
+
+/**
+ * Provides room-scoped API methods and emits Dubtrack events
+ * of a single room.
+ * Resolves URL-based name of the room to its ID once and caches the room
+ *
+ * @extends EventEmitter
+ */
+class RoomHandle extends EventEmitter {
+  /**
+   * @constructor
+   * @param {DubtrackAPI} api
+   * @param {string} identifier - Room ID or URL-based name
+   */
+  constructor(api, identifier) {
+    super();
+
+    this.identifier = identifier;
+    this.id = null;
+    this.room = null;
+
+    Object.defineProperty(this, '_api', {
+      enumerable: false,
+      configurable: false,
+      writable: false,
+      value: api,
+    });
+  }
+
+  /**
+   * Caches the room
+   *
+   * @param {Room} room
+   * @private
+   */
+  _setRoom(room) {
+    this.room = room;
+    this.id = room.id;
+  }
+
+  /**
+   * Checks whether the handle belongs to the room
+   *
+   * @param {string} roomId - Room ID
+   * @param {Room} [room] - Room model if the room is joined
+   * @return {boolean}
+   */
+  matches(roomId, room) {
+    if (this.identifier == roomId || this.id == roomId) {
+      return true;
+    }
+
+    return Boolean(room) && this.identifier == room.roomUrl;
+  }
+
+  /**
+   * Get the room.
+   * The room is requested only once unless `refresh` is set
+   *
+   * @param {Object} [options] - Options to use in this method
+   * @param {boolean} [options.refresh=false] - Request the room again
+   * @return {Promise}
+   */
+  getRoom(options = {}) {
+    if (this.room && !options.refresh) {
+      return Promise.resolve(this.room);
+    }
+
+    return this._api.getRoom(this.identifier, {raw: true})
+      .then((object) => {
+        this._setRoom(new models.Room(object, this._api));
+
+        return this.room;
+      });
+  }
+
+  /**
+   * Get ID of the room
+   *
+   * @return {Promise}
+   */
+  getId() {
+    if (this.id) {
+      return Promise.resolve(this.id);
+    }
+
+    return this.getRoom().then((room) => room.id);
+  }
+
+  /**
+   * Calls API method with room ID as the first argument
+   *
+   * @param {string} method - Name of `DubtrackAPI` method
+   * @param {Array} [args] - Other arguments
+   * @return {Promise}
+   * @private
+   */
+  _call(method, args = []) {
+    return this.getId()
+      .then((roomId) => this._api[method].apply(this._api, [roomId, ...args]));
+  }
+
+  /**
+   * Join the room
+   *
+   * @return {Promise}
+   */
+  join() {
+    return this._api.join(this.identifier);
+  }
+
+  /**
+   * Leave the room
+   *
+   * @return {Promise}
+   */
+  leave() {
+    return this._api.leave(this.identifier);
+  }
+
+  /**
+   * Update the room.
+   * Requires authentication
+   *
+   * @return {Promise}
+   */
+  update() {
+    return this._call('updateRoom');
+  }
+
+  /**
+   * Get the room user
+   *
+   * @param {string} userId - User ID
+   * @param {Object} [options] - Options for `DubtrackAPI#getRoomUser`
+   * @return {Promise}
+   */
+  getUser(userId, options) {
+    return this._call('getRoomUser', [userId, options]);
+  }
+
+  /**
+   * Get users present in the room
+   *
+   * @param {Object} [options] - Options for `DubtrackAPI#getRoomUsers`
+   * @return {Promise}
+   */
+  getUsers(options) {
+    return this._call('getRoomUsers', [options]);
+  }
+
+  /**
+   * Get room's staff list
+   *
+   * @param {Object} [options] - Options for `DubtrackAPI#getRoomStaff`
+   * @return {Promise}
+   */
+  getStaff(options) {
+    return this._call('getRoomStaff', [options]);
+  }
+
+  /**
+   * Get users muted in the room
+   *
+   * @param {Object} [options] - Options for `DubtrackAPI#getMutedUsers`
+   * @return {Promise}
+   */
+  getMutedUsers(options) {
+    return this._call('getMutedUsers', [options]);
+  }
+
+  /**
+   * Get users banned in the room
+   *
+   * @param {Object} [options] - Options for `DubtrackAPI#getBannedUsers`
+   * @return {Promise}
+   */
+  getBannedUsers(options) {
+    return this._call('getBannedUsers', [options]);
+  }
+
+  /**
+   * Send chat message to the room.
+   * Requires authentication
+   *
+   * @param {string} message - Message to send
+   * @param {Object} [options] - Options for `DubtrackAPI#sendMessage`
+   * @return {Promise}
+   */
+  sendMessage(message, options) {
+    return this._call('sendMessage', [message, options]);
+  }
+
+  /**
+   * Deletes chat message.
+   * Requires authentication
+   *
+   * @param {string} messageId - Message ID
+   * @return {Promise}
+   */
+  deleteMessage(messageId) {
+    return this._call('deleteMessage', [messageId]);
+  }
+
+  /**
+   * Get songs queued in the room
+   *
+   * @param {Object} [options] - Options for `DubtrackAPI#getRoomQueue`
+   * @return {Promise}
+   */
+  getQueue(options) {
+    return this._call('getRoomQueue', [options]);
+  }
+
+  /**
+   * Get songs queued by logged in user in the room.
+   * Requires authentication
+   *
+   * @param {Object} [options] - Options for `DubtrackAPI#getMyQueue`
+   * @return {Promise}
+   */
+  getMyQueue(options) {
+    return this._call('getMyQueue', [options]);
+  }
+
+  /**
+   * Queue the song in the room.
+   * Requires authentication
+   *
+   * @param {string} type - Source of the song: youtube or soundcloud
+   * @param {string} fkid - ID of the song on youtube or soundcloud
+   * @return {Promise}
+   */
+  queueSong(type, fkid) {
+    return this._call('queueSong', [type, fkid]);
+  }
+
+  /**
+   * Queue all songs of the playlist in the room.
+   * Requires authentication
+   *
+   * @param {string} playlistId - Playlist ID
+   * @return {Promise}
+   */
+  queuePlaylist(playlistId) {
+    return this._call('queuePlaylist', [playlistId]);
+  }
+
+  /**
+   * Removes song from the queue of logged in user.
+   * Requires authentication
+   *
+   * @param {string} queueSongId - ID of the queued song
+   * @return {Promise}
+   */
+  removeQueueSong(queueSongId) {
+    return this._call('removeQueueSong', [queueSongId]);
+  }
+
+  /**
+   * Changes order of songs in the queue of logged in user.
+   * Requires authentication
+   *
+   * @param {string[]} queueSongIds - IDs of the queued songs in desired order
+   * @return {Promise}
+   */
+  reorderQueue(queueSongIds) {
+    return this._call('reorderQueue', [queueSongIds]);
+  }
+
+  /**
+   * Pauses the queue of logged in user.
+   * Requires authentication
+   *
+   * @return {Promise}
+   */
+  pauseQueue() {
+    return this._call('pauseQueue');
+  }
+
+  /**
+   * Resumes the queue of logged in user.
+   * Requires authentication
+   *
+   * @return {Promise}
+   */
+  resumeQueue() {
+    return this._call('resumeQueue');
+  }
+
+  /**
+   * Removes all songs from the queue of logged in user.
+   * Requires authentication
+   *
+   * @return {Promise}
+   */
+  clearQueue() {
+    return this._call('clearQueue');
+  }
+
+  /**
+   * Get the song which is currently playing in the room
+   *
+   * @param {Object} [options] - Options for `DubtrackAPI#getActiveSong`
+   * @return {Promise}
+   */
+  getActiveSong(options) {
+    return this._call('getActiveSong', [options]);
+  }
+
+  /**
+   * Get songs played in the room, the latest first
+   *
+   * @param {Object} [params] - Params for `DubtrackAPI#getRoomHistory`
+   * @param {Object} [options] - Options for `DubtrackAPI#getRoomHistory`
+   * @return {Promise}
+   */
+  getHistory(params, options) {
+    return this._call('getRoomHistory', [params, options]);
+  }
+
+  /**
+   * Updub the song which is currently playing in the room.
+   * Requires authentication
+   *
+   * @return {Promise}
+   */
+  updub() {
+    return this._call('updub');
+  }
+
+  /**
+   * Downdub the song which is currently playing in the room.
+   * Requires authentication
+   *
+   * @return {Promise}
+   */
+  downdub() {
+    return this._call('downdub');
+  }
+
+  /**
+   * Removes vote of logged in user from the song
+   * which is currently playing in the room.
+   * Requires authentication
+   *
+   * @return {Promise}
+   */
+  removeVote() {
+    return this._call('removeVote');
+  }
+
+  /**
+   * Adds the song which is currently playing in the room to the playlist.
+   * Requires authentication
+   *
+   * @param {string} playlistId - Playlist ID
+   * @return {Promise}
+   */
+  grab(playlistId) {
+    return this._call('grab', [playlistId]);
+  }
+
+  /**
+   * Kicks user from the room.
+   * Requires authentication and `kick` right in the room
+   *
+   * @param {string} userId - User ID
+   * @param {string} [message] - Message to show to the user
+   * @return {Promise}
+   */
+  kick(userId, message) {
+    return this._call('kick', [userId, message]);
+  }
+
+  /**
+   * Bans user in the room.
+   * Requires authentication and `ban` right in the room
+   *
+   * @param {string} userId - User ID
+   * @param {number} [time] - Ban duration in minutes, 0 is permanent
+   * @return {Promise}
+   */
+  ban(userId, time) {
+    return this._call('ban', [userId, time]);
+  }
+
+  /**
+   * Unbans user in the room.
+   * Requires authentication and `ban` right in the room
+   *
+   * @param {string} userId - User ID
+   * @return {Promise}
+   */
+  unban(userId) {
+    return this._call('unban', [userId]);
+  }
+
+  /**
+   * Mutes user in the room.
+   * Requires authentication and `mute` right in the room
+   *
+   * @param {string} userId - User ID
+   * @return {Promise}
+   */
+  mute(userId) {
+    return this._call('mute', [userId]);
+  }
+
+  /**
+   * Unmutes user in the room.
+   * Requires authentication and `mute` right in the room
+   *
+   * @param {string} userId - User ID
+   * @return {Promise}
+   */
+  unmute(userId) {
+    return this._call('unmute', [userId]);
+  }
+
+  /**
+   * Skips the song which is currently playing in the room.
+   * Requires authentication and `skip` right in the room
+   *
+   * @return {Promise}
+   */
+  skip() {
+    return this._call('skip');
+  }
+
+  /**
+   * Sets role of user in the room.
+   * Requires authentication and the right to set the role
+   *
+   * @param {string} userId - User ID
+   * @param {string} roleType - Role type
+   * @return {Promise}
+   */
+  setRole(userId, roleType) {
+    return this._call('setRole', [userId, roleType]);
+  }
+
+  /**
+   * Removes role of user in the room.
+   * Requires authentication and the right to remove the role
+   *
+   * @param {string} userId - User ID
+   * @param {string} roleType - Role type
+   * @return {Promise}
+   */
+  removeRole(userId, roleType) {
+    return this._call('removeRole', [userId, roleType]);
+  }
+
+  /**
+   * Locks the room queue.
+   * Requires authentication and `lock-queue` right in the room
+   *
+   * @return {Promise}
+   */
+  lockQueue() {
+    return this._call('lockQueue');
+  }
+
+  /**
+   * Unlocks the room queue.
+   * Requires authentication and `lock-queue` right in the room
+   *
+   * @return {Promise}
+   */
+  unlockQueue() {
+    return this._call('unlockQueue');
+  }
+}
+
+module.exports = RoomHandle;
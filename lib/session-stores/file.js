@@ -0,0 +1,72 @@
+'use strict';
+const errors = require('../common/errors');
+const fs = require('fs');
+const Promise = require('bluebird');
+
+/**
+ * Keeps session in JSON file readable only by its owner
+ */
+class FileSessionStore {
+  /**
+   * @constructor
+   * @param {string} filePath - Path to file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Load saved session.
+   * Resolves with `null` if the file does not exist
+   *
+   * @return {Promise}
+   */
+  load() {
+    return Promise
+      .fromCallback((next) => fs.readFile(this.filePath, 'utf8', next))
+      .then((content) => JSON.parse(content))
+      .catch((err) => {
+        if (err.code == 'ENOENT') {
+          return null;
+        }
+
+        throw new errors.FatalError(err);
+      });
+  }
+
+  /**
+   * Save session
+   *
+   * @param {Object} data - Session data
+   * @return {Promise}
+   */
+  save(data) {
+    let tmpPath = `${this.filePath}.${process.pid}.tmp`;
+
+    return Promise
+      .fromCallback((next) => fs.writeFile(tmpPath, JSON.stringify(data),
+          {mode: 0o600}, next))
+      .then(() => Promise.fromCallback((next) =>
+          fs.rename(tmpPath, this.filePath, next)))
+      .catch((err) => {
+        throw new errors.FatalError(err);
+      });
+  }
+
+  /**
+   * Remove saved session
+   *
+   * @return {Promise}
+   */
+  clear() {
+    return Promise
+      .fromCallback((next) => fs.unlink(this.filePath, next))
+      .catch((err) => {
+        if (err.code != 'ENOENT') {
+          throw new errors.FatalError(err);
+        }
+      });
+  }
+}
+
+module.exports = FileSessionStore;
@@ -0,0 +1,3 @@
+'use strict';
+module.exports.MemorySessionStore = require('./memory');
+module.exports.FileSessionStore = require('./file');
@@ -0,0 +1,51 @@
+'use strict';
+const Promise = require('bluebird');
+
+/**
+ * Keeps session in memory.
+ * Can be shared between several `DubtrackAPI` instances of one process
+ */
+class MemorySessionStore {
+  /**
+   * @constructor
+   * @param {Object} [data] - Initial session data
+   */
+  constructor(data = null) {
+    this._data = data;
+  }
+
+  /**
+   * Load saved session
+   *
+   * @return {Promise}
+   */
+  load() {
+    return Promise.resolve(
+        this._data ? JSON.parse(JSON.stringify(this._data)) : null);
+  }
+
+  /**
+   * Save session
+   *
+   * @param {Object} data - Session data
+   * @return {Promise}
+   */
+  save(data) {
+    this._data = JSON.parse(JSON.stringify(data));
+
+    return Promise.resolve();
+  }
+
+  /**
+   * Remove saved session
+   *
+   * @return {Promise}
+   */
+  clear() {
+    this._data = null;
+
+    return Promise.resolve();
+  }
+}
+
+module.exports = MemorySessionStore;
@@ -0,0 +1,403 @@
+'use strict';
+const EventEmitter = require('events').EventEmitter;
+
+/**
+ * Calls the callback on the next tick if it is given
+ *
+ * @param {Function} [callback]
+ * @param {Error} [err]
+ */
+function defer(callback, err = null) {
+  if (callback) {
+    setImmediate(() => callback(err));
+  }
+}
+
+/**
+ * Presence of the fake channel
+ *
+ * @extends EventEmitter
+ */
+class FakePresence extends EventEmitter {
+  /**
+   * @constructor
+   * @param {FakeChannel} channel
+   */
+  constructor(channel) {
+    super();
+
+    this._channel = channel;
+    this.entered = false;
+  }
+
+  /**
+   * Enter the channel
+   *
+   * @param {Function} [callback]
+   */
+  enter(callback) {
+    this.entered = true;
+    defer(callback);
+  }
+
+  /**
+   * Leave the channel
+   *
+   * @param {Function} [callback]
+   */
+  leave(callback) {
+    this.entered = false;
+    defer(callback);
+  }
+
+  /**
+   * Subscribe to presence events
+   *
+   * @param {string|string[]} events - enter, leave or update
+   * @param {Function} listener
+   */
+  subscribe(events, listener) {
+    for (let event of [].concat(events)) {
+      this.on(event, listener);
+    }
+  }
+}
+
+/**
+ * Channel of the fake socket client
+ *
+ * @extends EventEmitter
+ */
+class FakeChannel extends EventEmitter {
+  /**
+   * @constructor
+   * @param {FakeSocketClient} client
+   * @param {string} name - Channel name
+   */
+  constructor(client, name) {
+    super();
+
+    this._client = client;
+    this.name = name;
+    this.attached = false;
+    this.presence = new FakePresence(this);
+  }
+
+  /**
+   * Attach to the channel
+   *
+   * @param {Function} [callback]
+   */
+  attach(callback) {
+    if (!this._client.connection.isConnected()) {
+      defer(callback, new Error('Not connected'));
+      return;
+    }
+
+    this.attached = true;
+    defer(callback);
+  }
+
+  /**
+   * Detach from the channel
+   *
+   * @param {Function} [callback]
+   */
+  detach(callback) {
+    this.attached = false;
+    this.presence.entered = false;
+    defer(callback);
+  }
+
+  /**
+   * Subscribe to channel messages
+   *
+   * @param {string|Function} event - Event name or listener of all events
+   * @param {Function} [listener]
+   */
+  subscribe(event, listener) {
+    if (typeof event == 'function') {
+      listener = event;
+      event = '*';
+    }
+
+    this.on(`message:${event}`, listener);
+  }
+}
+
+/**
+ * Connection of the fake socket client
+ *
+ * @extends EventEmitter
+ */
+class FakeConnection extends EventEmitter {
+  /**
+   * @constructor
+   * @param {FakeSocketClient} client
+   * @param {Object} options - Socket options
+   */
+  constructor(client, options) {
+    super();
+
+    this._client = client;
+    this._options = options;
+    this.state = 'initialized';
+    this.token = options.token || null;
+    this.clientId = options.clientId || '';
+  }
+
+  /**
+   * Connect to the fake backend.
+   * Gets token using `authCallback` if there is no token
+   */
+  connect() {
+    if (this.state == 'connecting' || this.isConnected()) {
+      return;
+    }
+
+    this.state = 'connecting';
+    this.emit('connecting');
+
+    if (this.token || !this._options.authCallback) {
+      setImmediate(() => this._open());
+      return;
+    }
+
+    this._options.authCallback({}, (err, token) => {
+      if (err || !token) {
+        this.state = 'failed';
+        this.emit('failed', err || 'No token received');
+        return;
+      }
+
+      this.token = token.token || token;
+      this._open();
+    });
+  }
+
+  /**
+   * Opens connection if the backend accepts it
+   *
+   * @private
+   */
+  _open() {
+    if (this.state != 'connecting') {
+      return;
+    }
+
+    let backend = this._client._backend;
+    if (backend.offline) {
+      this.state = 'failed';
+      this.emit('failed', 'Backend is offline');
+      return;
+    }
+
+    this.state = 'connected';
+    backend.emit('connection', this._client);
+    this.emit('connected');
+  }
+
+  /**
+   * Check whether the connection is established
+   *
+   * @return {boolean}
+   */
+  isConnected() {
+    return this.state == 'connected';
+  }
+
+  /**
+   * Drops the connection as if the network failed
+   *
+   * @private
+   */
+  _drop() {
+    if (!this.isConnected()) {
+      return;
+    }
+
+    this.state = 'disconnected';
+    for (let name of Object.keys(this._client.channels.all)) {
+      this._client.channels.all[name].attached = false;
+    }
+    this.emit('disconnected');
+
+    if (this._options.autoReconnect !== false) {
+      setTimeout(() => this.connect(), this._options.reconnectDelay || 10);
+    }
+  }
+
+  /**
+   * Close the connection
+   */
+  close() {
+    this.state = 'closed';
+    this.emit('closed');
+  }
+}
+
+/**
+ * Socket client with the interface of dubtrack-ws-client
+ * connected to `FakeSocketBackend`
+ */
+class FakeSocketClient {
+  /**
+   * @constructor
+   * @param {FakeSocketBackend} backend
+   * @param {Object} options - Socket options
+   */
+  constructor(backend, options) {
+    this._backend = backend;
+    this.connection = new FakeConnection(this, options);
+
+    let channels = {};
+    this.channels = {
+      all: channels,
+      get: (name) => {
+        if (!channels[name]) {
+          channels[name] = new FakeChannel(this, name);
+        }
+
+        return channels[name];
+      },
+      release: (name) => {
+        delete channels[name];
+      },
+    };
+
+    backend.clients.add(this);
+    if (!options.noAutoConnect) {
+      this.connection.connect();
+    }
+  }
+
+  /**
+   * Close the connection
+   */
+  close() {
+    this.connection.close();
+  }
+}
+
+/**
+ * In-process replacement of Dubtrack socket server.
+ * Pass `socket: {createClient: backend.createClient}` to `DubtrackAPI`
+ * and push events with `publish`
+ *
+ * @extends EventEmitter
+ */
+class FakeSocketBackend extends EventEmitter {
+  /**
+   * @constructor
+   */
+  constructor() {
+    super();
+
+    this.clients = new Set();
+    this.offline = false;
+    this.createClient = (options) => new FakeSocketClient(this, options);
+  }
+
+  /**
+   * Get attached channels with the name
+   *
+   * @param {string} channelName - Channel name
+   * @return {FakeChannel[]}
+   * @private
+   */
+  _getChannels(channelName) {
+    let channels = [];
+
+    for (let client of this.clients) {
+      let channel = client.channels.all[channelName];
+      if (channel && channel.attached && client.connection.isConnected()) {
+        channels.push(channel);
+      }
+    }
+
+    return channels;
+  }
+
+  /**
+   * Checks whether any client receives events of the channel
+   *
+   * @param {string} channelName - Channel name, for example `room:{roomId}`
+   * @return {boolean}
+   */
+  isSubscribed(channelName) {
+    return this._getChannels(channelName).length > 0;
+  }
+
+  /**
+   * Sends the event to clients attached to the channel.
+   * Returns amount of clients which received the event
+   *
+   * @param {string} channelName - Channel name, for example `room:{roomId}`
+   * @param {Object} data - Event data with `type`
+   * @return {number}
+   */
+  publish(channelName, data) {
+    let channels = this._getChannels(channelName);
+
+    for (let channel of channels) {
+      let message = {name: data.type, data: JSON.parse(JSON.stringify(data))};
+
+      channel.emit(`message:${data.type}`, message);
+      channel.emit('message:*', message);
+    }
+
+    return channels.length;
+  }
+
+  /**
+   * Sends the event to the room channel
+   *
+   * @param {string} roomId - Room ID
+   * @param {Object} data - Event data with `type`
+   * @return {number}
+   */
+  publishToRoom(roomId, data) {
+    return this.publish(`room:${roomId}`, data);
+  }
+
+  /**
+   * Sends the event to the user channel
+   *
+   * @param {string} userId - User ID
+   * @param {Object} data - Event data with `type`
+   * @return {number}
+   */
+  publishToUser(userId, data) {
+    return this.publish(`user:${userId}`, data);
+  }
+
+  /**
+   * Sends presence event to the room channel
+   *
+   * @param {string} roomId - Room ID
+   * @param {string} action - enter or leave
+   * @param {Object} [data] - Presence data
+   * @return {number}
+   */
+  presence(roomId, action, data = {}) {
+    let channels = this._getChannels(`room:${roomId}`);
+
+    for (let channel of channels) {
+      channel.presence.emit(action, {action, data: Object.assign({}, data)});
+    }
+
+    return channels.length;
+  }
+
+  /**
+   * Drops connections of all clients as if the network failed.
+   * Clients reconnect unless the backend is offline
+   */
+  dropConnections() {
+    for (let client of this.clients) {
+      client.connection._drop();
+    }
+  }
+}
+
+module.exports = FakeSocketBackend;
@@ -0,0 +1,120 @@
+'use strict';
+
+const created = Date.parse('2017-01-01T00:00:00.000Z');
+
+/**
+ * Builds raw user object
+ *
+ * @param {string} id - User ID
+ * @param {string} username
+ * @return {Object}
+ */
+function user(id, username) {
+  return {
+    _id: id,
+    username,
+    status: 1,
+    roleid: 1,
+    dubs: 0,
+    created,
+    profileImage: null,
+  };
+}
+
+/**
+ * Builds raw song object
+ *
+ * @param {string} id - Song ID
+ * @param {string} name - Song name
+ * @param {string} fkid - ID of the song on youtube
+ * @return {Object}
+ */
+function song(id, name, fkid) {
+  return {
+    _id: id,
+    name,
+    type: 'youtube',
+    fkid,
+    songLength: 210000,
+    created,
+    images: {thumbnail: `https://i.ytimg.com/vi/${fkid}/default.jpg`},
+  };
+}
+
+/**
+ * Creates data served by `MockDubtrackServer`.
+ * Every call returns new objects, so servers do not share state
+ *
+ * @return {Object}
+ */
+module.exports = function createFixtures() {
+  let bot = user('user-bot', 'bot');
+  let alice = user('user-alice', 'alice');
+  let bob = user('user-bob', 'bob');
+  let songs = [
+    song('song-1', 'Daft Punk - One More Time', 'FGBhQbmPwH8'),
+    song('song-2', 'Queen - Bohemian Rhapsody', 'fJ9rUzIMcZQ'),
+  ];
+
+  return {
+    credentials: [{username: 'bot', password: 'secret', userid: bot._id}],
+    users: [bot, alice, bob],
+    rooms: [{
+      _id: 'room-lobby',
+      name: 'Lobby',
+      roomUrl: 'lobby',
+      roomType: 'room',
+      realTimeChannel: 'dubtrackfm-lobby',
+      description: 'Mock room',
+      userid: alice._id,
+      _user: alice,
+      lockQueue: false,
+      activeUsers: 3,
+      created,
+      updated: created,
+    }],
+    roomUsers: [
+      {_id: 'room-user-bot', roomid: 'room-lobby', userid: bot._id,
+        roleid: null, _user: bot},
+      {_id: 'room-user-alice', roomid: 'room-lobby', userid: alice._id,
+        roleid: '5615fd84e596150061000003', _user: alice},
+      {_id: 'room-user-bob', roomid: 'room-lobby', userid: bob._id,
+        roleid: null, _user: bob},
+    ],
+    songs,
+    queue: [{
+      _id: 'queue-song-1',
+      roomid: 'room-lobby',
+      userid: alice._id,
+      songid: songs[0]._id,
+      _song: songs[0],
+      _user: alice,
+      updubs: 0,
+      downdubs: 0,
+      grabs: 0,
+      created,
+    }],
+    active: null,
+    history: [],
+    playlists: [{
+      _id: 'playlist-favorites',
+      name: 'Favorites',
+      userid: bot._id,
+      totalItems: 1,
+      created,
+    }],
+    playlistSongs: [{
+      _id: 'playlist-song-1',
+      playlistid: 'playlist-favorites',
+      songid: songs[1]._id,
+      _song: songs[1],
+      added: created,
+    }],
+    mutes: [],
+    bans: [],
+    follows: [],
+    chat: [],
+    conversations: [],
+    messages: [],
+  };
+};
@@ -0,0 +1,6 @@
+'use strict';
+module.exports.MockDubtrackServer = require('./mock-server');
+module.exports.FakeSocketBackend = require('./fake-socket');
+module.exports.createFixtures = require('./fixtures');
+module.exports.TrafficRecorder = require('./traffic-recorder');
+module.exports.TrafficReplayer = require('./traffic-replayer');
@@ -0,0 +1,1583 @@
+'use strict';
+const endpoints = require('../common/endpoints');
+const createFixtures = require('./fixtures');
+const EventEmitter = require('events').EventEmitter;
+const http = require('http');
+const querystring = require('querystring');
+const url = require('url');
+const Promise = require('bluebird');
+
+const sessionCookie = 'connect.sid';
+const pageSize = 20;
+// 1x1 transparent GIF served as user image
+const image = Buffer.from(
+    'R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+const routes = Object.keys(endpoints).map((name) => {
+  let segments = endpoints[name].split('/');
+
+  return {
+    name,
+    segments,
+    literals: segments.filter((segment) => !/^{\w+}$/.test(segment)).length,
+  };
+});
+
+/**
+ * Names of methods handling requests to endpoints
+ */
+const handlers = {
+  'POST loginDubtrack': '_login',
+  'GET logout': '_logout',
+  'GET session': '_getSession',
+  'GET token': '_getToken',
+  'GET user': '_getUser',
+  'GET userImage': '_getUserImage',
+  'GET userLargeImage': '_getUserImage',
+  'GET userFollowers': '_getUserFollowers',
+  'POST userFollowers': '_follow',
+  'DELETE userFollowers': '_unfollow',
+  'GET room': '_getRoom',
+  'PUT room': '_updateRoom',
+  'GET rooms': '_getRooms',
+  'POST rooms': '_createRoom',
+  'GET roomUser': '_getRoomUser',
+  'GET roomUsers': '_getRoomUsers',
+  'DELETE roomUsers': '_leaveRoom',
+  'GET roomStaff': '_getRoomStaff',
+  'GET mutedUsers': '_getMutedUsers',
+  'GET bannedUsers': '_getBannedUsers',
+  'POST kick': '_kick',
+  'POST ban': '_ban',
+  'DELETE ban': '_unban',
+  'POST mute': '_mute',
+  'DELETE mute': '_unmute',
+  'POST skip': '_skip',
+  'POST roomUserRole': '_setRole',
+  'DELETE roomUserRole': '_removeRole',
+  'PUT roomLockQueue': '_setQueueLocked',
+  'GET roomQueue': '_getRoomQueue',
+  'GET myQueue': '_getMyQueue',
+  'DELETE myQueue': '_clearMyQueue',
+  'DELETE myQueueSong': '_removeQueueSong',
+  'POST myQueueOrder': '_reorderMyQueue',
+  'PUT roomQueuePause': '_setQueuePaused',
+  'POST roomQueueSongs': '_queueSong',
+  'POST queuePlaylist': '_queuePlaylist',
+  'GET activeSong': '_getActiveSong',
+  'POST activeSongDubs': '_vote',
+  'DELETE activeSongDubs': '_removeVote',
+  'GET roomHistory': '_getRoomHistory',
+  'POST chat': '_sendChatMessage',
+  'DELETE chatMessage': '_deleteChatMessage',
+  'GET conversations': '_getConversations',
+  'POST conversations': '_createConversation',
+  'GET conversation': '_getConversationMessages',
+  'POST conversation': '_sendConversationMessage',
+  'POST readConversation': '_readConversation',
+  'GET playlists': '_getPlaylists',
+  'POST playlists': '_createPlaylist',
+  'DELETE playlist': '_deletePlaylist',
+  'GET playlistSongs': '_getPlaylistSongs',
+  'POST playlistSongs': '_addPlaylistSong',
+  'DELETE playlistSong': '_deletePlaylistSong',
+};
+
+/**
+ * Response sent as is, without wrapping into Dubtrack answer format
+ */
+class RawResponse {
+  /**
+   * @constructor
+   * @param {number} status - HTTP status
+   * @param {Object|string} body - Response body
+   * @param {Object} [headers] - Response headers
+   */
+  constructor(status, body, headers = {}) {
+    this.status = status;
+    this.body = body;
+    this.headers = headers;
+  }
+}
+
+/**
+ * Get array sent in form, for example as `ids[0]=a&ids[1]=b`
+ *
+ * @param {Object} body - Parsed form
+ * @param {string} name - Field name
+ * @return {string[]}
+ */
+function getFormArray(body, name) {
+  let values = [];
+
+  for (let key of Object.keys(body)) {
+    if (key == name || key.startsWith(`${name}[`)) {
+      values = values.concat(body[key]);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Get page of the list requested by `page` query parameter
+ *
+ * @param {Object[]} objects - Whole list
+ * @param {Object} request - Request info
+ * @return {Object[]}
+ */
+function paginate(objects, request) {
+  let page = Number(request.query.page) || 1;
+
+  return objects.slice((page - 1) * pageSize, page * pageSize);
+}
+
+/**
+ * Finds the most specific endpoint matching the path
+ *
+ * @param {string} path - Path without leading slash
+ * @return {Object|null} Endpoint name and params
+ */
+function matchRoute(path) {
+  let parts = path.split('/');
+  let best = null;
+
+  for (let route of routes) {
+    if (route.segments.length != parts.length ||
+        (best && best.literals >= route.literals)) {
+      continue;
+    }
+
+    let params = {};
+    let matched = route.segments.every((segment, index) => {
+      let param = /^{(\w+)}$/.exec(segment);
+      if (param) {
+        params[param[1]] = decodeURIComponent(parts[index]);
+        return true;
+      }
+
+      return segment == parts[index];
+    });
+
+    if (matched) {
+      best = {name: route.name, literals: route.literals, params};
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Local HTTP server imitating Dubtrack REST API with in-memory fixtures.
+ * Emits `request` with every handled request.
+ * Chat messages and moderation actions are published to `socket`
+ * if it is set. Lists are paginated by 20 objects except followers,
+ * requests without a handler are answered with 501
+ *
+ * @extends EventEmitter
+ */
+class MockDubtrackServer extends EventEmitter {
+  /**
+   * @constructor
+   * @param {Object} [options] - Server options
+   * @param {Object} [options.fixtures] - Data to serve,
+   * see `lib/testing/fixtures.js` for the format
+   * @param {FakeSocketBackend} [options.socket] - Socket backend to publish
+   * events to
+   */
+  constructor(options = {}) {
+    super();
+
+    this.fixtures = options.fixtures || createFixtures();
+    this.socket = options.socket || null;
+    this.requests = [];
+
+    this._sessions = new Map();
+    this._overrides = new Map();
+    this._lastId = 0;
+    this._server = http.createServer((req, res) => this._onRequest(req, res));
+  }
+
+  /**
+   * Base API URL of the running server
+   *
+   * @return {string|null}
+   */
+  get url() {
+    let address = this._server.address();
+
+    return (address) ? `http://127.0.0.1:${address.port}` : null;
+  }
+
+  /**
+   * Start listening.
+   * Resolves with base API URL
+   *
+   * @param {number} [port=0] - Port, random free port by default
+   * @return {Promise}
+   */
+  listen(port = 0) {
+    return Promise
+      .fromCallback((next) => this._server.listen(port, '127.0.0.1', next))
+      .then(() => this.url);
+  }
+
+  /**
+   * Stop the server
+   *
+   * @return {Promise}
+   */
+  close() {
+    return Promise.fromCallback((next) => this._server.close(next));
+  }
+
+  /**
+   * Replaces response of the endpoint.
+   * The handler gets request info and fixtures and returns data,
+   * or `MockDubtrackServer.response()` to send the response as is
+   *
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - Endpoint name from `endpoints.json`
+   * @param {Function|Object} handler - Handler or data to return
+   * @return {MockDubtrackServer}
+   */
+  override(method, endpoint, handler) {
+    this._overrides.set(`${method.toUpperCase()} ${endpoint}`,
+        (typeof handler == 'function') ? handler : () => handler);
+
+    return this;
+  }
+
+  /**
+   * Removes all overridden responses
+   *
+   * @return {MockDubtrackServer}
+   */
+  resetOverrides() {
+    this._overrides.clear();
+
+    return this;
+  }
+
+  /**
+   * Ends all sessions as if they expired, requests with their cookies
+   * are answered as if the user is not logged in
+   *
+   * @return {MockDubtrackServer}
+   */
+  expireSessions() {
+    this._sessions.clear();
+
+    return this;
+  }
+
+  /**
+   * Generates ID of new object
+   *
+   * @param {string} prefix
+   * @return {string}
+   * @private
+   */
+  _generateId(prefix) {
+    return `${prefix}-${++this._lastId}`;
+  }
+
+  /**
+   * Reads and parses request body
+   *
+   * @param {http.IncomingMessage} req
+   * @return {Promise}
+   * @private
+   */
+  _readBody(req) {
+    return new Promise((resolve, reject) => {
+      let chunks = [];
+
+      req.on('data', (chunk) => chunks.push(chunk))
+        .on('error', reject)
+        .on('end', () => {
+          let text = Buffer.concat(chunks).toString();
+          if (!text) {
+            return resolve({});
+          }
+
+          try {
+            resolve((/json/.test(req.headers['content-type'])) ?
+                JSON.parse(text) : querystring.parse(text));
+          } catch (err) {
+            resolve({});
+          }
+        });
+    });
+  }
+
+  /**
+   * Get logged in user of the request
+   *
+   * @param {http.IncomingMessage} req
+   * @return {Object|null}
+   * @private
+   */
+  _getSessionUser(req) {
+    let cookies = querystring.parse(req.headers.cookie || '', '; ');
+    let userId = this._sessions.get(cookies[sessionCookie]);
+
+    return this._find('users', {_id: userId});
+  }
+
+  /**
+   * Finds fixture object
+   *
+   * @param {string} collection - Fixtures collection
+   * @param {Object} fields - Fields the object should have
+   * @return {Object|null}
+   * @private
+   */
+  _find(collection, fields) {
+    return this._filter(collection, fields)[0] || null;
+  }
+
+  /**
+   * Filters fixture objects
+   *
+   * @param {string} collection - Fixtures collection
+   * @param {Object} fields - Fields the objects should have
+   * @return {Object[]}
+   * @private
+   */
+  _filter(collection, fields) {
+    return this.fixtures[collection].filter((object) =>
+      Object.keys(fields).every((key) => object[key] == fields[key]));
+  }
+
+  /**
+   * Finds user or room by ID or name
+   *
+   * @param {string} collection - users or rooms
+   * @param {string} identifier - ID or name
+   * @return {Object|null}
+   * @private
+   */
+  _findByIdentifier(collection, identifier) {
+    let nameField = (collection == 'rooms') ? 'roomUrl' : 'username';
+
+    return this._find(collection, {_id: identifier}) ||
+        this._find(collection, {[nameField]: identifier});
+  }
+
+  /**
+   * Removes fixture objects
+   *
+   * @param {string} collection - Fixtures collection
+   * @param {Object} fields - Fields the objects should have
+   * @return {number} Amount of removed objects
+   * @private
+   */
+  _remove(collection, fields) {
+    let removed = this._filter(collection, fields);
+    this.fixtures[collection] = this.fixtures[collection]
+      .filter((object) => !removed.includes(object));
+
+    return removed.length;
+  }
+
+  /**
+   * Builds room user object of the user who is not present in the room,
+   * as in lists of muted and banned users
+   *
+   * @param {string} roomId - Room ID
+   * @param {string} userId - User ID
+   * @return {Object}
+   * @private
+   */
+  _buildRoomUser(roomId, userId) {
+    return this._find('roomUsers', {roomid: roomId, userid: userId}) || {
+      _id: `room-user-${userId}`,
+      roomid: roomId,
+      userid: userId,
+      roleid: null,
+      _user: this._find('users', {_id: userId}),
+    };
+  }
+
+  /**
+   * Publishes event to the room channel if socket backend is set
+   *
+   * @param {string} roomId - Room ID
+   * @param {Object} data - Event data with `type`
+   * @private
+   */
+  _publish(roomId, data) {
+    if (this.socket) {
+      this.socket.publishToRoom(roomId, data);
+    }
+  }
+
+  /**
+   * Handles HTTP request
+   *
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @private
+   */
+  _onRequest(req, res) {
+    let parsed = url.parse(req.url, true);
+    let route = matchRoute(parsed.pathname.replace(/^\//, ''));
+
+    this._readBody(req)
+      .then((body) => {
+        let request = {
+          method: req.method,
+          path: parsed.pathname,
+          endpoint: route && route.name,
+          params: (route) ? route.params : {},
+          query: parsed.query,
+          body,
+          user: this._getSessionUser(req),
+          headers: req.headers,
+        };
+        this.requests.push(request);
+        this.emit('request', request);
+
+        let override = this._overrides.get(`${req.method} ${request.endpoint}`);
+        if (override) {
+          return Promise.try(() => override(request, this.fixtures));
+        }
+
+        if (!route) {
+          return this._error(404, 'Not found');
+        }
+
+        return this._handle(request, res);
+      })
+      .then((result) => this._send(res, result))
+      .catch((err) => this._send(res, this._error(500, err.message)));
+  }
+
+  /**
+   * Sends response.
+   * Plain data is wrapped into Dubtrack answer format
+   *
+   * @param {http.ServerResponse} res
+   * @param {*} result - Data or `RawResponse`
+   * @private
+   */
+  _send(res, result) {
+    if (!(result instanceof RawResponse)) {
+      result = new RawResponse(200, {code: 200, message: 'OK',
+        data: (result === undefined) ? {} : result});
+    }
+
+    let body = (typeof result.body == 'string' ||
+        Buffer.isBuffer(result.body)) ?
+        result.body : JSON.stringify(result.body);
+    res.writeHead(result.status, Object.assign({
+      'Content-Type': 'application/json',
+    }, result.headers));
+    res.end(body);
+  }
+
+  /**
+   * Builds error answer
+   *
+   * @param {number} code - HTTP status and Dubtrack code
+   * @param {string} message
+   * @return {Object}
+   * @private
+   */
+  _error(code, message) {
+    return new RawResponse(code, {code, message, data: null});
+  }
+
+  /**
+   * Handles request to known endpoint
+   *
+   * @param {Object} request - Request info
+   * @param {http.ServerResponse} res
+   * @return {*}
+   * @private
+   */
+  _handle(request, res) {
+    let handler = this[handlers[`${request.method} ${request.endpoint}`]];
+    let needsAuth = request.method != 'GET' &&
+        request.endpoint != 'loginDubtrack';
+
+    if (needsAuth && !request.user) {
+      return this._error(401, 'Not logged in');
+    }
+    if (!handler) {
+      return this._error(501,
+          `${request.method} ${request.endpoint} is not implemented`);
+    }
+
+    return handler.call(this, request, res);
+  }
+
+  /**
+   * Logs in with fixture credentials and sets session cookie
+   *
+   * @param {Object} request - Request info
+   * @param {http.ServerResponse} res
+   * @return {*}
+   * @private
+   */
+  _login(request, res) {
+    let credentials = this._find('credentials', {
+      username: request.body.username,
+      password: request.body.password,
+    });
+    if (!credentials) {
+      return this._error(400, 'Invalid username or password');
+    }
+
+    let sid = this._generateId('session');
+    this._sessions.set(sid, credentials.userid);
+    res.setHeader('Set-Cookie', `${sessionCookie}=${sid}; Path=/`);
+
+    return this._find('users', {_id: credentials.userid});
+  }
+
+  /**
+   * Removes sessions of the user
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _logout(request) {
+    for (let entry of this._sessions) {
+      if (request.user && entry[1] == request.user._id) {
+        this._sessions.delete(entry[0]);
+      }
+    }
+
+    return {};
+  }
+
+  /**
+   * Get logged in user
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _getSession(request) {
+    return request.user || this._error(401, 'Not logged in');
+  }
+
+  /**
+   * Get socket token
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _getToken(request) {
+    return {
+      token: this._generateId('token'),
+      clientId: (request.user) ? request.user._id : this._generateId('guest'),
+    };
+  }
+
+  /**
+   * Get user by ID or username
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _getUser(request) {
+    return this._findByIdentifier('users', request.params.userIdentifier) ||
+        this._error(404, 'User not found');
+  }
+
+  /**
+   * Get image of the user
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _getUserImage(request) {
+    if (!this._find('users', {_id: request.params.userId})) {
+      return this._error(404, 'User not found');
+    }
+
+    return new RawResponse(200, image, {'Content-Type': 'image/gif'});
+  }
+
+  /**
+   * Get followers of the user, the list is not paginated
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _getUserFollowers(request) {
+    return this._filter('follows', {userid: request.params.userId})
+      .map((follow) => this._find('users', {_id: follow.followerid}));
+  }
+
+  /**
+   * Makes logged in user a follower of the user
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _follow(request) {
+    let fields = {userid: request.params.userId, followerid: request.user._id};
+    if (!this._find('users', {_id: fields.userid})) {
+      return this._error(404, 'User not found');
+    }
+    if (!this._find('follows', fields)) {
+      this.fixtures.follows.push(fields);
+    }
+
+    return {};
+  }
+
+  /**
+   * Removes logged in user from followers of the user
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _unfollow(request) {
+    this._remove('follows',
+        {userid: request.params.userId, followerid: request.user._id});
+
+    return {};
+  }
+
+  /**
+   * Get room by ID or URL-based name
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _getRoom(request) {
+    return this._findByIdentifier('rooms', request.params.roomIdentifier) ||
+        this._error(404, 'Room not found');
+  }
+
+  /**
+   * Updates fields of the room sent in the request
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _updateRoom(request) {
+    let room = this._findByIdentifier('rooms', request.params.roomIdentifier);
+    if (!room) {
+      return this._error(404, 'Room not found');
+    }
+
+    Object.assign(room, request.body, {updated: Date.now()});
+    this._publish(room._id, {type: 'room-update', room});
+
+    return room;
+  }
+
+  /**
+   * Get page of rooms
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _getRooms(request) {
+    return paginate(this.fixtures.rooms, request);
+  }
+
+  /**
+   * Creates room owned by logged in user
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _createRoom(request) {
+    let id = this._generateId('room');
+    let room = Object.assign({
+      _id: id,
+      name: id,
+      roomUrl: id,
+      roomType: 'room',
+      realTimeChannel: `dubtrackfm-${id}`,
+      description: '',
+      lockQueue: false,
+      activeUsers: 0,
+    }, request.body, {
+      userid: request.user._id,
+      _user: request.user,
+      created: Date.now(),
+      updated: Date.now(),
+    });
+    this.fixtures.rooms.push(room);
+
+    return room;
+  }
+
+  /**
+   * Get user present in the room
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _getRoomUser(request) {
+    return this._find('roomUsers', {
+      roomid: request.params.roomId,
+      userid: request.params.userId,
+    }) || this._error(404, 'User is not in the room');
+  }
+
+  /**
+   * Get page of users present in the room
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _getRoomUsers(request) {
+    return paginate(
+        this._filter('roomUsers', {roomid: request.params.roomId}), request);
+  }
+
+  /**
+   * Removes logged in user from the room
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _leaveRoom(request) {
+    let room = this._find('rooms', {_id: request.params.roomId});
+    if (!room) {
+      return this._error(404, 'Room not found');
+    }
+
+    this._remove('roomUsers', {roomid: room._id, userid: request.user._id});
+    this._publish(room._id, {type: 'user-leave', user: request.user, room});
+
+    return {};
+  }
+
+  /**
+   * Get room users having a role
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _getRoomStaff(request) {
+    return this._filter('roomUsers', {roomid: request.params.roomId})
+      .filter((roomUser) => roomUser.roleid);
+  }
+
+  /**
+   * Get users muted in the room
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _getMutedUsers(request) {
+    return this._filter('mutes', {roomid: request.params.roomId})
+      .map((mute) => this._buildRoomUser(mute.roomid, mute.userid));
+  }
+
+  /**
+   * Get users banned in the room
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _getBannedUsers(request) {
+    return this._filter('bans', {roomid: request.params.roomId})
+      .map((ban) => this._buildRoomUser(ban.roomid, ban.userid));
+  }
+
+  /**
+   * Removes user from the room and publishes `user-kick`
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _kick(request) {
+    let params = request.params;
+    let roomUser = this._find('roomUsers',
+        {roomid: params.roomId, userid: params.userId});
+    if (!roomUser) {
+      return this._error(404, 'User is not in the room');
+    }
+
+    this._remove('roomUsers', {roomid: params.roomId, userid: params.userId});
+    this._publish(params.roomId, {
+      type: 'user-kick',
+      user: request.user,
+      kickedUser: roomUser._user,
+      message: request.body.message || '',
+    });
+
+    return {};
+  }
+
+  /**
+   * Bans user in the room and publishes `user-ban`
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _ban(request) {
+    let params = request.params;
+    let user = this._find('users', {_id: params.userId});
+    if (!user) {
+      return this._error(404, 'User not found');
+    }
+
+    this._remove('bans', {roomid: params.roomId, userid: user._id});
+    this._remove('roomUsers', {roomid: params.roomId, userid: user._id});
+    this.fixtures.bans.push({
+      roomid: params.roomId,
+      userid: user._id,
+      time: Number(request.body.time) || 0,
+    });
+    this._publish(params.roomId,
+        {type: 'user-ban', user: request.user, kickedUser: user});
+
+    return {};
+  }
+
+  /**
+   * Removes ban of the user and publishes `user-unban`
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _unban(request) {
+    let params = request.params;
+    if (!this._remove('bans', {roomid: params.roomId, userid: params.userId})) {
+      return this._error(404, 'User is not banned');
+    }
+
+    this._publish(params.roomId, {
+      type: 'user-unban',
+      user: request.user,
+      kickedUser: this._find('users', {_id: params.userId}),
+    });
+
+    return {};
+  }
+
+  /**
+   * Mutes user in the room and publishes `user-mute`
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _mute(request) {
+    let params = request.params;
+    let user = this._find('users', {_id: params.userId});
+    if (!user) {
+      return this._error(404, 'User not found');
+    }
+
+    if (!this._find('mutes', {roomid: params.roomId, userid: user._id})) {
+      this.fixtures.mutes.push({roomid: params.roomId, userid: user._id});
+    }
+    this._publish(params.roomId,
+        {type: 'user-mute', user: request.user, mutedUser: user});
+
+    return {};
+  }
+
+  /**
+   * Unmutes user in the room and publishes `user-unmute`
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _unmute(request) {
+    let params = request.params;
+    let fields = {roomid: params.roomId, userid: params.userId};
+    if (!this._remove('mutes', fields)) {
+      return this._error(404, 'User is not muted');
+    }
+
+    this._publish(params.roomId, {
+      type: 'user-unmute',
+      user: request.user,
+      mutedUser: this._find('users', {_id: params.userId}),
+    });
+
+    return {};
+  }
+
+  /**
+   * Stops the active song and publishes `chat-skip`
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _skip(request) {
+    let active = this.fixtures.active;
+    if (!active || active.song.roomid != request.params.roomId ||
+        active.song._id != request.params.queueSongId) {
+      return this._error(404, 'Song is not playing');
+    }
+
+    this.fixtures.active = null;
+    this._publish(request.params.roomId,
+        {type: 'chat-skip', user: request.user});
+
+    return {};
+  }
+
+  /**
+   * Changes role of the room user and publishes the change
+   *
+   * @param {Object} request - Request info
+   * @param {string|null} roleId - New role ID
+   * @return {*}
+   * @private
+   */
+  _changeRole(request, roleId) {
+    let params = request.params;
+    let roomUser = this._find('roomUsers',
+        {roomid: params.roomId, userid: params.userId});
+    if (!roomUser) {
+      return this._error(404, 'User is not in the room');
+    }
+
+    roomUser.roleid = roleId;
+    this._publish(params.roomId, {
+      type: (roleId) ? 'user-setrole' : 'user-unsetrole',
+      user: roomUser._user,
+      modUser: request.user,
+      role: (roleId) ? {_id: roleId} : null,
+    });
+
+    return roomUser;
+  }
+
+  /**
+   * Sets role of the room user
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _setRole(request) {
+    return this._changeRole(request, request.params.roleId);
+  }
+
+  /**
+   * Removes role of the room user
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _removeRole(request) {
+    return this._changeRole(request, null);
+  }
+
+  /**
+   * Locks or unlocks queue of the room
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _setQueueLocked(request) {
+    let room = this._find('rooms', {_id: request.params.roomId});
+    if (!room) {
+      return this._error(404, 'Room not found');
+    }
+
+    room.lockQueue = request.body.lockQueue == '1';
+
+    return room;
+  }
+
+  /**
+   * Get queue of the room
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _getRoomQueue(request) {
+    return this._filter('queue', {roomid: request.params.roomId});
+  }
+
+  /**
+   * Get songs queued by logged in user
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _getMyQueue(request) {
+    return this._filter('queue', {
+      roomid: request.params.roomId,
+      userid: request.user && request.user._id,
+    });
+  }
+
+  /**
+   * Removes all songs queued by logged in user
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _clearMyQueue(request) {
+    this._remove('queue',
+        {roomid: request.params.roomId, userid: request.user._id});
+
+    return {};
+  }
+
+  /**
+   * Removes song queued by logged in user
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _removeQueueSong(request) {
+    let removed = this._remove('queue', {
+      _id: request.params.queueSongId,
+      roomid: request.params.roomId,
+      userid: request.user._id,
+    });
+
+    return (removed) ? {} : this._error(404, 'Song is not queued');
+  }
+
+  /**
+   * Orders songs queued by logged in user as listed in `order`
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _reorderMyQueue(request) {
+    let order = getFormArray(request.body, 'order');
+    let mine = this._filter('queue',
+        {roomid: request.params.roomId, userid: request.user._id});
+    let position = (queueSong) => {
+      let index = order.indexOf(queueSong._id);
+      return (index == -1) ? order.length : index;
+    };
+
+    mine.sort((a, b) => position(a) - position(b));
+    this.fixtures.queue = this.fixtures.queue
+      .filter((queueSong) => !mine.includes(queueSong))
+      .concat(mine);
+
+    return mine;
+  }
+
+  /**
+   * Pauses or resumes queue of logged in user
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _setQueuePaused(request) {
+    let roomUser = this._find('roomUsers',
+        {roomid: request.params.roomId, userid: request.user._id});
+    if (!roomUser) {
+      return this._error(404, 'User is not in the room');
+    }
+
+    roomUser.queuePaused = Number(request.body.queuePaused) || 0;
+
+    return roomUser;
+  }
+
+  /**
+   * Adds song to the room queue
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _queueSong(request) {
+    let song = this._find('songs', {fkid: request.body.songId});
+    let queueSong = {
+      _id: this._generateId('queue-song'),
+      roomid: request.params.roomId,
+      userid: request.user._id,
+      songid: song && song._id,
+      _song: song,
+      _user: request.user,
+      created: Date.now(),
+    };
+    this.fixtures.queue.push(queueSong);
+
+    return queueSong;
+  }
+
+  /**
+   * Queues all songs of the playlist
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _queuePlaylist(request) {
+    let playlistId = request.params.playlistId;
+    if (!this._find('playlists', {_id: playlistId})) {
+      return this._error(404, 'Playlist not found');
+    }
+
+    return this._filter('playlistSongs', {playlistid: playlistId})
+      .map((playlistSong) => {
+        let queueSong = {
+          _id: this._generateId('queue-song'),
+          roomid: request.params.roomId,
+          userid: request.user._id,
+          songid: playlistSong.songid,
+          _song: playlistSong._song,
+          _user: request.user,
+          created: Date.now(),
+        };
+        this.fixtures.queue.push(queueSong);
+
+        return queueSong;
+      });
+  }
+
+  /**
+   * Get song playing in the room
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _getActiveSong(request) {
+    let active = this.fixtures.active;
+
+    return (active && active.song.roomid == request.params.roomId) ?
+        active : {};
+  }
+
+  /**
+   * Stores vote of logged in user and recounts votes of the active song
+   *
+   * @param {Object} request - Request info
+   * @param {string|null} type - Vote of logged in user: updub, downdub or
+   * null to remove it
+   * @return {*}
+   * @private
+   */
+  _setVote(request, type) {
+    let active = this.fixtures.active;
+    if (!active || active.song.roomid != request.params.roomId) {
+      return this._error(404, 'Nothing is playing');
+    }
+
+    let votes = active.votes || {};
+    if (type) {
+      votes[request.user._id] = type;
+    } else {
+      delete votes[request.user._id];
+    }
+    active.votes = votes;
+
+    let types = Object.keys(votes).map((userId) => votes[userId]);
+    active.song.updubs = types.filter((vote) => vote == 'updub').length;
+    active.song.downdubs = types.filter((vote) => vote == 'downdub').length;
+
+    if (type) {
+      this._publish(request.params.roomId, {
+        type: 'room_playlist-dub',
+        dubtype: type,
+        user: request.user,
+        playlist: active.song,
+      });
+    }
+
+    return active.song;
+  }
+
+  /**
+   * Votes for the active song
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _vote(request) {
+    if (!['updub', 'downdub'].includes(request.body.type)) {
+      return this._error(400, 'Unknown vote type');
+    }
+
+    return this._setVote(request, request.body.type);
+  }
+
+  /**
+   * Removes vote for the active song
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _removeVote(request) {
+    return this._setVote(request, null);
+  }
+
+  /**
+   * Get page of songs played in the room
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _getRoomHistory(request) {
+    return paginate(
+        this._filter('history', {roomid: request.params.roomId}), request);
+  }
+
+  /**
+   * Saves chat message and publishes it to the socket
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _sendChatMessage(request) {
+    let room = this._find('rooms', {_id: request.params.roomId});
+    if (!room) {
+      return this._error(404, 'Room not found');
+    }
+
+    let message = {
+      chatid: `${request.user._id}-${Date.now()}-${++this._lastId}`,
+      message: request.body.message,
+      time: Number(request.body.time) || Date.now(),
+      userid: request.user._id,
+      roomid: room._id,
+    };
+    this.fixtures.chat.push(message);
+
+    if (this.socket) {
+      this.socket.publishToRoom(room._id, {
+        type: 'chat-message',
+        chatid: message.chatid,
+        message: message.message,
+        time: message.time,
+        user: request.user,
+        queue_object: this._buildRoomUser(room._id, request.user._id),
+      });
+    }
+
+    return {_id: message.chatid};
+  }
+
+  /**
+   * Removes chat message and publishes the deletion
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _deleteChatMessage(request) {
+    let index = this.fixtures.chat.findIndex((message) =>
+      message.chatid == request.params.messageId);
+    if (index == -1) {
+      return this._error(404, 'Message not found');
+    }
+
+    this.fixtures.chat.splice(index, 1);
+    if (this.socket) {
+      this.socket.publishToRoom(request.params.roomId, {
+        type: 'delete-chat-message',
+        chatid: request.params.messageId,
+        user: request.user,
+      });
+    }
+
+    return {};
+  }
+
+  /**
+   * Get conversations of logged in user
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _getConversations(request) {
+    return this.fixtures.conversations.filter((conversation) =>
+      conversation.usersid.includes(request.user && request.user._id));
+  }
+
+  /**
+   * Finds or creates conversation with the users
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _createConversation(request) {
+    let userIds = getFormArray(request.body, 'usersid')
+      .concat(request.user._id);
+    userIds = Array.from(new Set(userIds)).sort();
+
+    let conversation = this.fixtures.conversations.find((conversation) =>
+      conversation.usersid.slice().sort().join() == userIds.join());
+    if (!conversation) {
+      conversation = {
+        _id: this._generateId('conversation'),
+        usersid: userIds,
+        users_read: [],
+        created: Date.now(),
+        latest_message: null,
+        latest_message_str: '',
+      };
+      this.fixtures.conversations.push(conversation);
+    }
+
+    return conversation;
+  }
+
+  /**
+   * Get messages of the conversation
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _getConversationMessages(request) {
+    return this._filter('messages',
+        {conversationid: request.params.conversationId});
+  }
+
+  /**
+   * Saves private message and publishes it to the recipients
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _sendConversationMessage(request) {
+    let conversation = this._find('conversations',
+        {_id: request.params.conversationId});
+    if (!conversation) {
+      return this._error(404, 'Conversation not found');
+    }
+
+    let message = {
+      _id: this._generateId('message'),
+      conversationid: conversation._id,
+      message: request.body.message,
+      created: Number(request.body.time) || Date.now(),
+      userid: request.user._id,
+    };
+    this.fixtures.messages.push(message);
+    conversation.latest_message = message.created;
+    conversation.latest_message_str = message.message;
+    conversation.users_read = [request.user._id];
+
+    if (this.socket) {
+      for (let userId of conversation.usersid) {
+        if (userId != request.user._id) {
+          this.socket.publishToUser(userId, {
+            type: 'new-message',
+            messageid: message._id,
+            conversationid: conversation._id,
+            user: request.user,
+          });
+        }
+      }
+    }
+
+    return message;
+  }
+
+  /**
+   * Marks conversation as read by logged in user
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _readConversation(request) {
+    let conversation = this._find('conversations',
+        {_id: request.params.conversationId});
+    if (!conversation) {
+      return this._error(404, 'Conversation not found');
+    }
+
+    if (!conversation.users_read.includes(request.user._id)) {
+      conversation.users_read.push(request.user._id);
+    }
+
+    return {};
+  }
+
+  /**
+   * Get playlists of logged in user
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _getPlaylists(request) {
+    return this._filter('playlists',
+        {userid: request.user && request.user._id});
+  }
+
+  /**
+   * Creates playlist
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _createPlaylist(request) {
+    let playlist = {
+      _id: this._generateId('playlist'),
+      name: request.body.name,
+      userid: request.user._id,
+      totalItems: 0,
+      created: Date.now(),
+    };
+    this.fixtures.playlists.push(playlist);
+
+    return playlist;
+  }
+
+  /**
+   * Removes playlist with its songs
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _deletePlaylist(request) {
+    let playlists = this.fixtures.playlists;
+    let index = playlists.findIndex((playlist) =>
+      playlist._id == request.params.playlistId);
+    if (index == -1) {
+      return this._error(404, 'Playlist not found');
+    }
+
+    playlists.splice(index, 1);
+    this.fixtures.playlistSongs = this.fixtures.playlistSongs.filter(
+        (playlistSong) => playlistSong.playlistid != request.params.playlistId);
+
+    return {};
+  }
+
+  /**
+   * Get page of playlist songs, 20 songs per page
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _getPlaylistSongs(request) {
+    return paginate(this._filter('playlistSongs',
+        {playlistid: request.params.playlistId}), request);
+  }
+
+  /**
+   * Adds song to the playlist
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _addPlaylistSong(request) {
+    let playlist = this._find('playlists', {_id: request.params.playlistId});
+    if (!playlist) {
+      return this._error(404, 'Playlist not found');
+    }
+
+    let song = this._find('songs', {
+      type: request.body.type,
+      fkid: request.body.fkid,
+    });
+    if (!song) {
+      song = {
+        _id: this._generateId('song'),
+        name: request.body.fkid,
+        type: request.body.type,
+        fkid: request.body.fkid,
+        songLength: 0,
+        created: Date.now(),
+        images: {thumbnail: null},
+      };
+      this.fixtures.songs.push(song);
+    }
+
+    let playlistSong = {
+      _id: this._generateId('playlist-song'),
+      playlistid: playlist._id,
+      songid: song._id,
+      _song: song,
+      added: Date.now(),
+    };
+    this.fixtures.playlistSongs.push(playlistSong);
+    playlist.totalItems++;
+
+    return playlistSong;
+  }
+
+  /**
+   * Removes song from the playlist
+   *
+   * @param {Object} request - Request info
+   * @return {*}
+   * @private
+   */
+  _deletePlaylistSong(request) {
+    let playlistSongs = this.fixtures.playlistSongs;
+    let index = playlistSongs.findIndex((playlistSong) =>
+      playlistSong.playlistid == request.params.playlistId &&
+      playlistSong._id == request.params.songId);
+    if (index == -1) {
+      return this._error(404, 'Song not found');
+    }
+
+    playlistSongs.splice(index, 1);
+    let playlist = this._find('playlists', {_id: request.params.playlistId});
+    if (playlist) {
+      playlist.totalItems--;
+    }
+
+    return {};
+  }
+}
+
+/**
+ * Creates response sent as is, for example to imitate server errors
+ *
+ * @param {number} status - HTTP status
+ * @param {Object|string} body - Response body
+ * @param {Object} [headers] - Response headers
+ * @return {RawResponse}
+ */
+MockDubtrackServer.response = function response(status, body, headers) {
+  return new RawResponse(status, body, headers);
+};
+
+module.exports = MockDubtrackServer;
@@ -0,0 +1,91 @@
+'use strict';
+const redact = require('../common/utils').redact;
+const fs = require('fs');
+const Promise = require('bluebird');
+
+/**
+ * Serializes error of the request
+ *
+ * @param {Error} err
+ * @return {Object}
+ */
+function serializeError(err) {
+  return redact({
+    name: err.constructor.name,
+    message: err.message,
+    status: err.status || null,
+    code: (err.code === undefined) ? null : err.code,
+    data: (err.data === undefined) ? null : err.data,
+    retryAfter: err.retryAfter || null,
+    isRetryable: Boolean(err.isRetryable),
+  });
+}
+
+/**
+ * Records requests to Dubtrack API and socket events.
+ * Pass it as `traffic` option of `DubtrackAPI` and save the recording
+ * to replay it with `TrafficReplayer`.
+ * Credentials, tokens and cookies are redacted
+ */
+class TrafficRecorder {
+  /**
+   * @constructor
+   */
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * Records the request and its result
+   *
+   * @param {Object} request - Method, path, query and body of the request
+   * @param {Function} send - Sends the request and returns a promise
+   * @return {Promise}
+   */
+  request(request, send) {
+    let entry = Object.assign({type: 'http'}, redact(request));
+    this.entries.push(entry);
+
+    return Promise.resolve(send())
+      .tap((data) => {
+        entry.response = (data === undefined) ? null : redact(data);
+      })
+      .catch((err) => {
+        entry.error = serializeError(err);
+        throw err;
+      });
+  }
+
+  /**
+   * Records the socket event
+   *
+   * @param {Object} event - Raw event
+   * @param {string|null} roomId - ID of the room the event came from
+   */
+  event(event, roomId) {
+    this.entries.push({type: 'event', roomId, data: redact(event)});
+  }
+
+  /**
+   * Get the recording
+   *
+   * @return {Object}
+   */
+  toJSON() {
+    return {version: 1, recorded: new Date().toISOString(),
+      entries: this.entries};
+  }
+
+  /**
+   * Saves the recording to file
+   *
+   * @param {string} filePath - Path to file
+   * @return {Promise}
+   */
+  save(filePath) {
+    return Promise.fromCallback((next) => fs.writeFile(filePath,
+        JSON.stringify(this, null, 2), next));
+  }
+}
+
+module.exports = TrafficRecorder;
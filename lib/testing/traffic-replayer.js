@@ -0,0 +1,190 @@
+'use strict';
+const errors = require('../common/errors');
+const redact = require('../common/utils').redact;
+const FakeSocketBackend = require('./fake-socket');
+const fs = require('fs');
+const lodash = require('lodash');
+const Promise = require('bluebird');
+
+/**
+ * Restores recorded error of the request
+ *
+ * @param {Object} recorded - Serialized error
+ * @param {Object} request - Recorded request
+ * @return {BaseError}
+ */
+function restoreError(recorded, request) {
+  let ErrorClass = errors[recorded.name];
+  if (typeof ErrorClass != 'function') {
+    ErrorClass = errors.FatalError;
+  }
+
+  let error = Object.create(ErrorClass.prototype);
+  Object.assign(error, {
+    message: recorded.message,
+    stack: `${recorded.name}: ${recorded.message}`,
+    code: recorded.code,
+    data: recorded.data,
+    retryAfter: recorded.retryAfter,
+  });
+  error.setRequest({
+    method: request.method,
+    path: request.path,
+    status: recorded.status,
+    body: request.body,
+  });
+  error.isRetryable = recorded.isRetryable;
+
+  return error;
+}
+
+/**
+ * Replays recording of `TrafficRecorder` without network.
+ * Pass it as `traffic` option of `DubtrackAPI` together with
+ * `socket: {createClient: replayer.createClient}`.
+ * Recorded socket events are passed to `processEvents` as soon as
+ * the requests recorded before them are replayed
+ */
+class TrafficReplayer {
+  /**
+   * @constructor
+   * @param {Object} recording - Recording made by `TrafficRecorder`
+   * @param {Object} [options] - Replay options
+   * @param {string} [options.mode=strict] - strict: requests should be made
+   * in recorded order with the same query and body,
+   * loose: requests are matched by method and path in any order
+   * and can be repeated
+   * @param {string[]} [options.ignore=['time']] - Query and body fields
+   * which are not compared in strict mode
+   */
+  constructor(recording, options = {}) {
+    this.mode = options.mode || 'strict';
+    if (this.mode != 'strict' && this.mode != 'loose') {
+      throw new errors.FatalError(`Unknown replay mode "${this.mode}"`);
+    }
+
+    this._ignore = options.ignore || ['time'];
+    this._entries = recording.entries.map((entry) =>
+      Object.assign({used: false}, entry));
+    this._cursor = 0;
+    this._api = null;
+    this._backend = new FakeSocketBackend();
+    this.createClient = this._backend.createClient;
+  }
+
+  /**
+   * Loads recording from file
+   *
+   * @param {string} filePath - Path to file
+   * @param {Object} [options] - Replay options
+   * @return {Promise}
+   */
+  static load(filePath, options) {
+    return Promise
+      .fromCallback((next) => fs.readFile(filePath, 'utf8', next))
+      .then((content) => new TrafficReplayer(JSON.parse(content), options));
+  }
+
+  /**
+   * Called by `DubtrackAPI` to get the instance to pass events to
+   *
+   * @param {DubtrackAPI} api
+   */
+  attach(api) {
+    this._api = api;
+    setImmediate(() => this._flushEvents());
+  }
+
+  /**
+   * Finds recorded exchange matching the request
+   *
+   * @param {Object} request - Method, path, query and body of the request
+   * @return {Object|null}
+   * @private
+   */
+  _match(request) {
+    let http = this._entries.filter((entry) => entry.type == 'http');
+    let samePath = (entry) =>
+      entry.method == request.method && entry.path == request.path;
+
+    if (this.mode == 'strict') {
+      let next = http.find((entry) => !entry.used) || null;
+      let fields = (entry) => [entry.qs, entry.body].map((value) =>
+        (value && typeof value == 'object') ?
+            lodash.omit(value, this._ignore) : value);
+
+      return (next && samePath(next) &&
+          lodash.isEqual(fields(next), fields(redact(request)))) ? next : null;
+    }
+
+    return http.find((entry) => !entry.used && samePath(entry)) ||
+        lodash.findLast(http, samePath) || null;
+  }
+
+  /**
+   * Answers the request with recorded response
+   *
+   * @param {Object} request - Method, path, query and body of the request
+   * @return {Promise}
+   */
+  request(request) {
+    let entry = this._match(request);
+    if (!entry) {
+      return Promise.reject(new errors.FatalError(
+          `Unexpected request ${request.method} ${request.path} in replay`));
+    }
+
+    entry.used = true;
+    setImmediate(() => this._flushEvents());
+
+    if (entry.error) {
+      return Promise.reject(restoreError(entry.error, entry));
+    }
+
+    return Promise.resolve(lodash.cloneDeep(entry.response));
+  }
+
+  /**
+   * Passes events all preceding requests of which were replayed
+   *
+   * @private
+   */
+  _flushEvents() {
+    if (!this._api) {
+      return;
+    }
+
+    for (; this._cursor < this._entries.length; this._cursor++) {
+      let entry = this._entries[this._cursor];
+
+      if (entry.type == 'http' && !entry.used) {
+        break;
+      }
+      if (entry.type == 'event') {
+        this._api.processEvents(lodash.cloneDeep(entry.data), entry.roomId);
+      }
+    }
+  }
+
+  /**
+   * Get recorded requests which were not replayed yet
+   *
+   * @return {Object[]}
+   */
+  getPending() {
+    return this._entries
+      .filter((entry) => entry.type == 'http' && !entry.used)
+      .map((entry) => ({method: entry.method, path: entry.path}));
+  }
+
+  /**
+   * Checks whether all recorded requests and events were replayed
+   *
+   * @return {boolean}
+   */
+  isDone() {
+    return this._cursor >= this._entries.length;
+  }
+}
+
+module.exports = TrafficReplayer;
@@ -0,0 +1,174 @@
+'use strict';
+const EventEmitter = require('events').EventEmitter;
+const Promise = require('bluebird');
+const SocketClient = require('dubtrack-ws-client');
+
+/**
+ * Socket transport based on dubtrack-ws-client.
+ * Emits `connected`, `disconnected`, `failed` and `latency` with round trip
+ * time of engine.io heartbeat in milliseconds
+ *
+ * @extends EventEmitter
+ */
+class WsClientTransport extends EventEmitter {
+  /**
+   * @constructor
+   * @param {Object} options - Options for dubtrack-ws-client
+   * @param {Function} [options.createClient] - Creates socket client with
+   * the interface of dubtrack-ws-client instead of the real one
+   */
+  constructor(options) {
+    super();
+
+    this._options = options;
+    this._client = null;
+    this._presenceChannels = new Set();
+    this._watchedSocket = null;
+  }
+
+  /**
+   * Connect using the token
+   *
+   * @param {Object} token - Answer of `DubtrackAPI#getToken`
+   */
+  connect(token) {
+    if (this._client) {
+      this.setToken(token);
+      this._client.connection.connect();
+      return;
+    }
+
+    let options = Object.assign({}, this._options, {
+      token: token.token,
+      clientId: token.clientId,
+    });
+
+    this._client = (options.createClient) ?
+        options.createClient(options) : new SocketClient(options);
+    this._client.connection.on('connected', () => this._onConnected());
+    this._client.connection.on('disconnected',
+        () => this.emit('disconnected'));
+    this._client.connection.on('failed',
+        (message) => this.emit('failed', message));
+  }
+
+  /**
+   * Set token used for the next connections
+   *
+   * @param {Object} token - Answer of `DubtrackAPI#getToken`
+   */
+  setToken(token) {
+    if (this._client) {
+      this._client.connection.token = token.token;
+      this._client.connection.clientId = token.clientId;
+    }
+  }
+
+  /**
+   * Attaches channels again after connection is established
+   *
+   * @private
+   */
+  _onConnected() {
+    let channels = this._client.channels;
+    this._watchLatency();
+
+    for (let channelName in channels.all) {
+      if (channels.all.hasOwnProperty(channelName)) {
+        let channel = channels.get(channelName);
+
+        channel.attach();
+
+        if (this._presenceChannels.has(channelName)) {
+          channel.presence.enter();
+        }
+      }
+    }
+
+    this.emit('connected');
+  }
+
+  /**
+   * Measures round trip time of heartbeats of the underlying socket
+   *
+   * @private
+   */
+  _watchLatency() {
+    let socket = this._client.connection.socket;
+    if (!socket || typeof socket.on != 'function' ||
+        socket === this._watchedSocket) {
+      return;
+    }
+
+    let pingAt = null;
+    this._watchedSocket = socket;
+    socket.on('ping', () => {
+      pingAt = Date.now();
+    });
+    socket.on('pong', () => {
+      if (pingAt) {
+        this.emit('latency', Date.now() - pingAt);
+        pingAt = null;
+      }
+    });
+  }
+
+  /**
+   * Check whether connection is established
+   *
+   * @return {boolean}
+   */
+  isConnected() {
+    return Boolean(this._client) && this._client.connection.isConnected();
+  }
+
+  /**
+   * Subscribe to channel messages
+   *
+   * @param {string} channelName - Channel name
+   * @param {Object} handlers
+   * @param {Function} handlers.message - Gets data of channel messages
+   * @param {Function} [handlers.presence] - Gets data of presence events
+   * @return {Promise}
+   */
+  subscribe(channelName, handlers) {
+    let channel = this._client.channels.get(channelName);
+
+    return Promise.fromCallback((next) => channel.attach(next))
+      .then(() => {
+        channel.subscribe((event) => handlers.message(event.data));
+
+        if (handlers.presence) {
+          this._presenceChannels.add(channelName);
+          channel.presence.subscribe(['enter', 'leave'],
+              (event) => handlers.presence(event.data));
+        }
+      });
+  }
+
+  /**
+   * Unsubscribe from channel messages
+   *
+   * @param {string} channelName - Channel name
+   * @return {Promise}
+   */
+  unsubscribe(channelName) {
+    let channel = this._client.channels.get(channelName);
+    this._presenceChannels.delete(channelName);
+
+    return Promise.fromCallback((next) => channel.detach(next))
+      .catch(() => {}) // channel is detached anyway when not connected
+      .then(() => this._client.channels.release(channelName));
+  }
+
+  /**
+   * Close connection
+   */
+  close() {
+    if (this._client) {
+      this._client.close();
+    }
+  }
+}
+
+module.exports = WsClientTransport;
@@ -0,0 +1,193 @@
+'use strict';
+const assert = require('assert');
+const DubtrackAPI = require('..');
+const testing = require('../testing');
+const helpers = require('./helpers');
+const Promise = require('bluebird');
+const request = require('request-promise');
+
+const errors = DubtrackAPI.errors;
+
+/**
+ * Builds response of mock server sent as is
+ *
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @param {Object} [headers] - Response headers
+ * @param {string} [body] - Body used instead of Dubtrack answer
+ * @return {Object}
+ */
+function errorResponse(status, message, headers = {}, body) {
+  return testing.MockDubtrackServer.response(status,
+      (body === undefined) ? {code: status, message, data: null} : body,
+      headers);
+}
+
+describe('DubtrackAPI', function() {
+  let environment;
+  let api;
+  let server;
+
+  beforeEach(function() {
+    return helpers.createEnvironment({socket: {autoConnect: false}})
+      .then((created) => {
+        environment = created;
+        api = created.api;
+        server = created.server;
+
+        return helpers.waitFor(api, 'login');
+      });
+  });
+
+  afterEach(function() {
+    return helpers.destroyEnvironment(environment);
+  });
+
+  it('logs in with credentials from options', function() {
+    return api.getMe({raw: true}).then((session) => {
+      assert.strictEqual(api.isAuthorized(), true);
+      assert.strictEqual(session._id, 'user-bot');
+    });
+  });
+
+  it('sends song added to playlist as form data', function() {
+    return api.addSongToPlaylist('playlist-favorites', 'youtube', 'abc')
+      .then(() => {
+        let request = server.requests[server.requests.length - 1];
+
+        assert.strictEqual(request.endpoint, 'playlistSongs');
+        assert.ok(/x-www-form-urlencoded/
+          .test(request.headers['content-type']));
+        assert.deepStrictEqual(Object.assign({}, request.body),
+            {type: 'youtube', fkid: 'abc'});
+
+        return api.getPlaylistSongs('playlist-favorites', {}, {raw: true});
+      })
+      .then((objects) => {
+        assert.deepStrictEqual(objects.map((object) => object._song.fkid),
+            ['fJ9rUzIMcZQ', 'abc']);
+      });
+  });
+
+  it('removes song of the playlist model from the playlist', function() {
+    return api.getPlaylistSongs('playlist-favorites')
+      .then((songs) => {
+        assert.strictEqual(songs[0].id, 'playlist-song-1');
+
+        return songs[0].remove();
+      })
+      .then(() => {
+        let request = server.requests[server.requests.length - 1];
+
+        assert.strictEqual(request.params.songId, 'playlist-song-1');
+        assert.deepStrictEqual(server.fixtures.playlistSongs, []);
+      });
+  });
+
+  it('gets muted and banned users of the room', function() {
+    server.fixtures.mutes.push({roomid: 'room-lobby', userid: 'user-bob'});
+    server.fixtures.bans.push({roomid: 'room-lobby', userid: 'user-alice'});
+
+    return Promise.all([
+      api.getMutedUsers('room-lobby'),
+      api.getBannedUsers('room-lobby'),
+    ]).then((lists) => {
+      assert.deepStrictEqual(lists[0].map((roomUser) => roomUser.userId),
+          ['user-bob']);
+      assert.deepStrictEqual(lists[1].map((roomUser) => roomUser.userId),
+          ['user-alice']);
+    });
+  });
+
+  it('gets pages of room users', function() {
+    for (let i = 0; i < 25; i++) {
+      server.fixtures.roomUsers.push({_id: `room-user-${i}`,
+        roomid: 'room-lobby', userid: `user-${i}`, roleid: null,
+        _user: {_id: `user-${i}`, username: `user${i}`}});
+    }
+
+    return Promise.all([
+      api.getRoomUsers('room-lobby', {raw: true, page: 1}),
+      api.getRoomUsers('room-lobby', {raw: true, page: 2}),
+    ]).then((pages) => {
+      assert.strictEqual(pages[0].length, 20);
+      assert.strictEqual(pages[1].length, 8);
+    });
+  });
+
+  it('answers requests to unhandled endpoints with 501', function() {
+    return request({
+      url: `${server.url}/chat/room-lobby/chat-1`,
+      simple: false,
+      resolveWithFullResponse: true,
+    }).then((response) => {
+      assert.strictEqual(response.statusCode, 501);
+    });
+  });
+
+  describe('errors', function() {
+    it('rejects with NotFoundError for unknown objects', function() {
+      return api.getUser('nobody').then(() => {
+        assert.fail('Request should fail');
+      }, (err) => {
+        assert.ok(err instanceof errors.NotFoundError);
+        assert.strictEqual(err.status, 404);
+        assert.strictEqual(err.method, 'GET');
+        assert.strictEqual(err.path, 'user/nobody');
+      });
+    });
+
+    it('rejects with AccessDeniedError when not logged in', function() {
+      return api.logout()
+        .then(() => api.createPlaylist('New'))
+        .then(() => {
+          assert.fail('Request should fail');
+        }, (err) => {
+          assert.ok(err instanceof errors.AccessDeniedError);
+        });
+    });
+
+    it('rejects with RateLimitError with time to wait', function() {
+      server.override('GET', 'user', errorResponse(429, 'Slow down',
+          {'Retry-After': '2'}));
+
+      return api.getUser('alice').then(() => {
+        assert.fail('Request should fail');
+      }, (err) => {
+        assert.ok(err instanceof errors.RateLimitError);
+        assert.strictEqual(err.retryAfter, 2000);
+        assert.strictEqual(err.isRetryable, true);
+      });
+    });
+
+    it('rejects with PermissionError on 403', function() {
+      server.override('GET', 'user', errorResponse(403, 'Forbidden'));
+
+      return api.getUser('alice').then(() => {
+        assert.fail('Request should fail');
+      }, (err) => {
+        assert.ok(err instanceof errors.PermissionError);
+      });
+    });
+
+    it('redacts password in request body of the error', function() {
+      return api.login({password: 'wrong'}).then(() => {
+        assert.fail('Request should fail');
+      }, (err) => {
+        assert.ok(err instanceof errors.ValidationError);
+        assert.notStrictEqual(err.body.password, 'wrong');
+      });
+    });
+
+    it('rejects with ParseError when response is not JSON', function() {
+      server.override('GET', 'user', errorResponse(500, null, {},
+          'Internal error'));
+
+      return api.getUser('alice').then(() => {
+        assert.fail('Request should fail');
+      }, (err) => {
+        assert.ok(err instanceof errors.ParseError);
+      });
+    });
+  });
+});
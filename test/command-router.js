@@ -0,0 +1,214 @@
+'use strict';
+const assert = require('assert');
+const DubtrackAPI = require('..');
+const helpers = require('./helpers');
+const Promise = require('bluebird');
+
+describe('CommandRouter', function() {
+  let environment;
+  let router;
+  let users;
+
+  /**
+   * Sends chat message to the lobby on behalf of the user
+   *
+   * @param {string} username
+   * @param {string} text - Message text
+   */
+  function say(username, text) {
+    let user = users.find((object) => object.username == username);
+
+    environment.backend.publishToRoom('room-lobby',
+        helpers.chatEvent(user, text));
+  }
+
+  /**
+   * Resolves with the next chat message sent by the API
+   *
+   * @return {Promise}
+   */
+  function nextReply() {
+    return helpers.waitFor(environment.server, 'request')
+      .then((request) => (request.endpoint == 'chat') ?
+          request.body.message : nextReply());
+  }
+
+  beforeEach(function() {
+    return helpers.createEnvironment().then((created) => {
+      environment = created;
+      users = created.server.fixtures.users;
+      router = new DubtrackAPI.CommandRouter(created.api);
+
+      return helpers.connect(created.api);
+    }).then(() => environment.api.join('lobby'));
+  });
+
+  afterEach(function() {
+    router.destroy();
+
+    return helpers.destroyEnvironment(environment);
+  });
+
+  it('passes resolved arguments to the command', function() {
+    let handled = new Promise((resolve) => {
+      router.register('roll', resolve);
+    });
+
+    say('alice', '!roll 2 "two words" @bob @nobody plain');
+
+    return handled.then((context) => {
+      assert.strictEqual(context.command, 'roll');
+      assert.strictEqual(context.userId, 'user-alice');
+      assert.strictEqual(context.roomId, 'room-lobby');
+      assert.strictEqual(context.args[0], 2);
+      assert.strictEqual(context.args[1], 'two words');
+      assert.strictEqual(context.args[2].id, 'user-bob');
+      assert.strictEqual(context.args[3], null);
+      assert.strictEqual(context.args[4], 'plain');
+    });
+  });
+
+  it('matches names and aliases case-insensitively', function() {
+    let handled = new Promise((resolve) => {
+      router.register('Song', {aliases: ['NP']}, resolve);
+    });
+
+    say('bob', '!np');
+
+    return handled.then((context) => {
+      assert.strictEqual(context.command, 'song');
+      assert.strictEqual(context.alias, 'np');
+    });
+  });
+
+  it('ignores messages of logged in user', function() {
+    let calls = 0;
+    router.register('ping', () => {
+      calls++;
+    });
+    let handled = helpers.waitFor(router, 'command');
+
+    say('bot', '!ping');
+    say('bob', '!ping');
+
+    return handled.delay(20).then((context) => {
+      assert.strictEqual(context.userId, 'user-bob');
+      assert.strictEqual(calls, 1);
+    });
+  });
+
+  it('denies commands requiring missing right', function() {
+    router.register('kick', {right: 'kick'}, () => {
+      assert.fail('Command should not run');
+    });
+
+    say('bob', '!kick @alice');
+
+    return helpers.waitFor(router, 'denied').then((denied) => {
+      assert.strictEqual(denied.command, 'kick');
+      assert.strictEqual(denied.message.userId, 'user-bob');
+    });
+  });
+
+  it('runs commands requiring any right for room owner', function() {
+    let handled = new Promise((resolve) => {
+      router.register('ban', {right: 'ban', role: 'co-owner'}, resolve);
+    });
+
+    say('alice', '!ban @bob');
+
+    return handled.then((context) => {
+      assert.strictEqual(context.userId, 'user-alice');
+    });
+  });
+
+  it('denies commands to users missing from the room', function() {
+    let fixtures = environment.server.fixtures;
+    fixtures.roomUsers = fixtures.roomUsers
+      .filter((roomUser) => roomUser.userid != 'user-bob');
+    router.register('skip', {role: 'resident-dj'}, () => {
+      assert.fail('Command should not run');
+    });
+    let errors = [];
+    router.on('error', (err) => errors.push(err));
+
+    say('bob', '!skip');
+
+    return helpers.waitFor(router, 'denied').then((denied) => {
+      assert.strictEqual(denied.command, 'skip');
+      assert.strictEqual(denied.role, null);
+      assert.deepStrictEqual(errors, []);
+    });
+  });
+
+  it('runs commands for users with the role', function() {
+    let handled = new Promise((resolve) => {
+      router.register('skip', {role: 'manager'}, resolve);
+    });
+
+    say('alice', '!skip');
+
+    return handled.then((context) => {
+      assert.strictEqual(context.userId, 'user-alice');
+    });
+  });
+
+  it('reports cooldown of the command', function() {
+    router.register('ping', {cooldown: 60000}, () => {});
+
+    say('bob', '!ping');
+
+    return helpers.waitFor(router, 'command').then(() => {
+      say('bob', '!PING');
+
+      return helpers.waitFor(router, 'cooldown');
+    }).then((cooldown) => {
+      assert.strictEqual(cooldown.command, 'ping');
+      assert.ok(cooldown.remaining > 0 && cooldown.remaining <= 60000);
+    });
+  });
+
+  it('replies with list of commands to help', function() {
+    router.register('ping', () => {});
+    let reply = nextReply();
+
+    say('bob', '!help');
+
+    return reply.then((text) => {
+      assert.strictEqual(text, '@bob Commands: !help, !ping');
+    });
+  });
+
+  it('lists only commands allowed to the user in help', function() {
+    router.register('ping', () => {});
+    router.register('kick', {right: 'kick'}, () => {});
+    router.register('skip', {role: 'manager'}, () => {});
+    let reply = nextReply();
+
+    say('bob', '!help');
+
+    return reply.then((text) => {
+      assert.strictEqual(text, '@bob Commands: !help, !ping');
+
+      reply = nextReply();
+      say('alice', '!help');
+
+      return reply;
+    }).then((text) => {
+      assert.strictEqual(text, '@alice Commands: !help, !ping, !kick, !skip');
+    });
+  });
+
+  it('replies with usage of the command to help', function() {
+    router.register('roll', {description: 'Rolls a dice',
+      usage: '<sides>', aliases: ['dice']}, () => {});
+    let reply = nextReply();
+
+    say('bob', '!help roll');
+
+    return reply.then((text) => {
+      assert.strictEqual(text,
+          '@bob !roll <sides> - Rolls a dice (aliases: dice)');
+    });
+  });
+});
@@ -0,0 +1,149 @@
+'use strict';
+const assert = require('assert');
+const DubtrackAPI = require('..');
+const models = require('../lib/models');
+const createFixtures = require('../testing').createFixtures;
+
+describe('events', function() {
+  let api;
+  let fixtures;
+
+  beforeEach(function() {
+    fixtures = createFixtures();
+    api = new DubtrackAPI({
+      auth: {autoLogin: false},
+      socket: {autoConnect: false},
+    });
+  });
+
+  describe('registry', function() {
+    it('finds definitions by exact type and by match', function() {
+      assert.strictEqual(DubtrackAPI.events.find('chat-message').type,
+          'chat-message');
+      assert.strictEqual(
+          DubtrackAPI.events.find('user_update_room-lobby').type,
+          'user_update');
+      assert.strictEqual(DubtrackAPI.events.find('unknown'), null);
+      assert.strictEqual(DubtrackAPI.events.find(undefined), null);
+    });
+
+    it('tells the first missing required field', function() {
+      let definition = DubtrackAPI.events.find('user-join');
+
+      assert.strictEqual(DubtrackAPI.events.validate(definition,
+          {user: {}, roomUser: null}), 'roomUser');
+      assert.strictEqual(DubtrackAPI.events.validate(definition,
+          {user: {}, roomUser: {}}), null);
+    });
+  });
+
+  describe('DubtrackAPI#processEvents', function() {
+    it('normalizes known events', function() {
+      let received = null;
+      api.on('chat-message', (event) => {
+        received = event;
+      });
+
+      api.processEvents({type: 'chat-message', chatid: 'chat-1',
+        message: 'hello', time: 0, user: fixtures.users[1]}, 'room-lobby');
+
+      assert.ok(received.user instanceof models.User);
+      assert.strictEqual(received.chatId, 'chat-1');
+      assert.strictEqual(received.roomId, 'room-lobby');
+      assert.strictEqual(received.chatMessage.roomId, 'room-lobby');
+      assert.strictEqual(received.raw.user._id, 'user-alice');
+    });
+
+    it('turns moderation events into target and moderator', function() {
+      let received = null;
+      api.on('user-kick', (event) => {
+        received = event;
+      });
+
+      api.processEvents({type: 'user-kick', user: fixtures.users[1],
+        kickedUser: fixtures.users[2]}, 'room-lobby');
+
+      assert.strictEqual(received.user.id, 'user-bob');
+      assert.strictEqual(received.moderator.id, 'user-alice');
+    });
+
+    it('emits unknown events as is', function() {
+      let unknown = null;
+      let received = null;
+      api.on('unknown-event', (event) => {
+        unknown = event;
+      }).on('something-new', (event) => {
+        received = event;
+      });
+
+      api.processEvents({type: 'something-new', value: 1});
+
+      assert.strictEqual(unknown, received);
+      assert.strictEqual(received.value, 1);
+    });
+
+    it('emits events without required fields unnormalized', function() {
+      let invalid = null;
+      let received = null;
+      api.on('invalid-event', (event, missing) => {
+        invalid = missing;
+      }).on('user-join', (event) => {
+        received = event;
+      });
+
+      api.processEvents({type: 'user-join', user: fixtures.users[1]});
+
+      assert.strictEqual(invalid, 'roomUser');
+      assert.strictEqual(received.user._id, 'user-alice');
+    });
+
+    it('only reports events without type', function() {
+      let invalid = [];
+      let matched = 0;
+      api.on('invalid-event', (event, missing) => invalid.push(missing))
+        .on('unknown-event', () => assert.fail('Event should not be emitted'))
+        .addRegexpListener(/.*/, () => matched++);
+
+      api.processEvents({user: fixtures.users[1]}, 'room-lobby');
+      api.processEvents({type: 5});
+
+      assert.deepStrictEqual(invalid, ['type', 'type']);
+      assert.strictEqual(matched, 0);
+    });
+
+    it('passes events to regexp listeners and room handles', function() {
+      let matched = [];
+      let handled = [];
+      api.addRegexpListener(/^user-/, (event) => matched.push(event.type));
+      api.room('room-lobby').on('user-mute',
+          (event) => handled.push(event.type));
+      api.room('room-other').on('user-mute',
+          (event) => handled.push('other'));
+
+      api.processEvents({type: 'user-mute', user: fixtures.users[1],
+        mutedUser: fixtures.users[2]}, 'room-lobby');
+      api.processEvents({type: 'chat-skip', user: fixtures.users[1]},
+          'room-lobby');
+
+      assert.deepStrictEqual(matched, ['user-mute']);
+      assert.deepStrictEqual(handled, ['user-mute']);
+    });
+
+    it('does not normalize events with raw option', function() {
+      let received = null;
+      let raw = new DubtrackAPI({
+        raw: true,
+        auth: {autoLogin: false},
+        socket: {autoConnect: false},
+      });
+      raw.on('chat-skip', (event) => {
+        received = event;
+      });
+
+      raw.processEvents({type: 'chat-skip', user: fixtures.users[1]});
+
+      assert.strictEqual(received.user._id, 'user-alice');
+      assert.strictEqual(received.raw, undefined);
+    });
+  });
+});
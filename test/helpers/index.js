@@ -0,0 +1,113 @@
+'use strict';
+const DubtrackAPI = require('../..');
+const testing = require('../../testing');
+const Promise = require('bluebird');
+
+/**
+ * Starts mock server with fake socket backend and creates API connected
+ * to them. Resolves with `server`, `backend` and `api`.
+ * The API logs in as `bot` unless `auth` option is overridden
+ *
+ * @param {Object} [options] - Options of `DubtrackAPI`
+ * @param {Object} [options.socket] - Socket options, `createClient`
+ * of the backend is added to them
+ * @return {Promise}
+ */
+function createEnvironment(options = {}) {
+  let backend = new testing.FakeSocketBackend();
+  let server = new testing.MockDubtrackServer({socket: backend});
+
+  return server.listen().then((url) => {
+    let api = new DubtrackAPI(Object.assign({
+      baseApiUrl: url,
+      auth: {username: 'bot', password: 'secret'},
+    }, options, {
+      socket: Object.assign({}, options.socket,
+          {createClient: backend.createClient}),
+    }));
+
+    return {server, backend, api};
+  });
+}
+
+/**
+ * Disconnects the API and stops the server
+ *
+ * @param {Object} environment - Result of `createEnvironment`
+ * @return {Promise}
+ */
+function destroyEnvironment(environment) {
+  let api = environment.api;
+
+  return Promise.resolve(api.isConnected() ? api.disconnect() : null)
+    .catch(() => {})
+    .then(() => environment.server.close());
+}
+
+/**
+ * Resolves with arguments of the next event, with the only argument
+ * if the event has one
+ *
+ * @param {EventEmitter} emitter
+ * @param {string} event - Event name
+ * @return {Promise}
+ */
+function waitFor(emitter, event) {
+  return new Promise((resolve) => {
+    emitter.once(event, (...args) => {
+      resolve((args.length > 1) ? args : args[0]);
+    });
+  });
+}
+
+/**
+ * Resolves when the condition becomes true
+ *
+ * @param {Function} condition
+ * @param {number} [interval=1] - Time in milliseconds between checks
+ * @return {Promise}
+ */
+function waitUntil(condition, interval = 1) {
+  return new Promise((resolve) => {
+    let check = () => (condition()) ? resolve() : setTimeout(check, interval);
+
+    check();
+  });
+}
+
+/**
+ * Resolves when the API connects to the socket
+ *
+ * @param {DubtrackAPI} api
+ * @return {Promise}
+ */
+function connect(api) {
+  return (api.isConnected()) ? Promise.resolve() : waitFor(api, 'connected');
+}
+
+/**
+ * Builds raw chat message event sent by the user
+ *
+ * @param {Object} user - Raw user object
+ * @param {string} text - Message text
+ * @param {Object} [fields] - Other fields of the event
+ * @return {Object}
+ */
+function chatEvent(user, text, fields = {}) {
+  return Object.assign({
+    type: 'chat-message',
+    chatid: `chat-${Date.now()}-${Math.random()}`,
+    message: text,
+    time: Date.now(),
+    user,
+  }, fields);
+}
+
+module.exports = {
+  createEnvironment,
+  destroyEnvironment,
+  waitFor,
+  waitUntil,
+  connect,
+  chatEvent,
+};
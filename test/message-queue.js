@@ -0,0 +1,175 @@
+'use strict';
+const assert = require('assert');
+const DubtrackAPI = require('..');
+const TokenBucket = require('../lib/common/token-bucket');
+const Promise = require('bluebird');
+
+const errors = DubtrackAPI.errors;
+
+/**
+ * Creates sender remembering sent texts
+ *
+ * @param {string[]} sent - Array to push texts to
+ * @return {Function}
+ */
+function createSender(sent) {
+  return (text) => {
+    sent.push(text);
+
+    return Promise.resolve(text);
+  };
+}
+
+describe('MessageQueue', function() {
+  it('sends burst of messages at once and paces the rest', function() {
+    let queue = new DubtrackAPI.MessageQueue({burst: 2, interval: 50});
+    let sent = [];
+    let sender = createSender(sent);
+    let started = Date.now();
+
+    return Promise.all(['a', 'b', 'c']
+      .map((text) => queue.push('room:1', text, sender)))
+      .then((results) => {
+        assert.deepStrictEqual(results, ['a', 'b', 'c']);
+        assert.ok(Date.now() - started >= 40);
+      });
+  });
+
+  it('paces targets separately', function() {
+    let queue = new DubtrackAPI.MessageQueue({burst: 1, interval: 1000});
+    let sent = [];
+    let sender = createSender(sent);
+
+    return Promise.all([
+      queue.push('room:1', 'a', sender),
+      queue.push('room:2', 'b', sender),
+    ]).timeout(500).then(() => {
+      assert.deepStrictEqual(sent, ['a', 'b']);
+    });
+  });
+
+  it('sends high priority messages first', function() {
+    let queue = new DubtrackAPI.MessageQueue({burst: 1, interval: 20});
+    let sent = [];
+    let sender = createSender(sent);
+
+    return Promise.all([
+      queue.push('room:1', 'first', sender),
+      queue.push('room:1', 'low', sender, {priority: 'low'}),
+      queue.push('room:1', 'normal', sender),
+      queue.push('room:1', 'high', sender, {priority: 'high'}),
+    ]).then(() => {
+      assert.deepStrictEqual(sent, ['first', 'high', 'normal', 'low']);
+    });
+  });
+
+  it('splits long messages', function() {
+    let queue = new DubtrackAPI.MessageQueue({maxLength: 10});
+    let sent = [];
+
+    return queue.push('room:1', 'one two three four', createSender(sent))
+      .then((results) => {
+        assert.strictEqual(results.length, sent.length);
+        assert.ok(sent.length > 1);
+        assert.ok(sent.every((text) => text.length <= 10));
+        assert.strictEqual(sent.join(' '), 'one two three four');
+      });
+  });
+
+  it('sends identical messages once within dedupe window', function() {
+    let queue = new DubtrackAPI.MessageQueue();
+    let sent = [];
+    let sender = createSender(sent);
+
+    return Promise.all([
+      queue.push('room:1', 'hello', sender),
+      queue.push('room:1', 'hello', sender),
+      queue.push('room:2', 'hello', sender),
+    ]).then(() => {
+      assert.deepStrictEqual(sent, ['hello', 'hello']);
+    });
+  });
+
+  it('resends messages rejected because of flood', function() {
+    let queue = new DubtrackAPI.MessageQueue({backoff: 10, interval: 10});
+    let attempts = 0;
+
+    return queue.push('room:1', 'hello', (text) => {
+      attempts++;
+      if (attempts < 3) {
+        return Promise.reject(new errors.RateLimitError(
+            {code: 429, message: 'Flood', data: null}));
+      }
+
+      return Promise.resolve(text);
+    }).then((result) => {
+      assert.strictEqual(result, 'hello');
+      assert.strictEqual(attempts, 3);
+    });
+  });
+
+  it('rejects with errors other than flood', function() {
+    let queue = new DubtrackAPI.MessageQueue();
+
+    return queue.push('room:1', 'hello',
+        () => Promise.reject(new Error('Failed')))
+      .then(() => {
+        assert.fail('Message should fail');
+      }, (err) => {
+        assert.strictEqual(err.message, 'Failed');
+      });
+  });
+
+  it('sends message again after identical one failed', function() {
+    let queue = new DubtrackAPI.MessageQueue();
+    let attempts = 0;
+    let sender = (text) => {
+      attempts++;
+
+      return (attempts == 1) ?
+          Promise.reject(new Error('Failed')) : Promise.resolve(text);
+    };
+
+    return queue.push('room:1', 'hello', sender).reflect()
+      .then(() => queue.push('room:1', 'hello', sender))
+      .then((result) => {
+        assert.strictEqual(result, 'hello');
+        assert.strictEqual(attempts, 2);
+      });
+  });
+
+  it('rejects waiting messages when cleared', function() {
+    let queue = new DubtrackAPI.MessageQueue({burst: 1, interval: 1000});
+    let sender = createSender([]);
+    let first = queue.push('room:1', 'a', sender);
+    let second = queue.push('room:1', 'b', sender);
+
+    assert.strictEqual(queue.size('room:1'), 1);
+    queue.clear('room:1');
+
+    return first.then(() => second).then(() => {
+      assert.fail('Message should be rejected');
+    }, (err) => {
+      assert.ok(err instanceof errors.FatalError);
+      assert.strictEqual(queue.size(), 0);
+    });
+  });
+});
+
+describe('TokenBucket', function() {
+  it('is full again after refill and pause', function() {
+    let bucket = new TokenBucket(1, 10);
+
+    assert.strictEqual(bucket.isFull(), true);
+    assert.strictEqual(bucket.take(), 0);
+    assert.strictEqual(bucket.isFull(), false);
+
+    return Promise.delay(15).then(() => {
+      assert.strictEqual(bucket.isFull(), true);
+      bucket.pause(30);
+      assert.strictEqual(bucket.isFull(), false);
+    }).delay(40).then(() => {
+      assert.strictEqual(bucket.isFull(), true);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+'use strict';
+const assert = require('assert');
+const Paginator = require('../lib/paginator');
+const helpers = require('./helpers');
+const Promise = require('bluebird');
+
+/**
+ * Creates page loader of the list remembering requested pages
+ *
+ * @param {Array} items - Whole list
+ * @param {number} pageSize - Amount of items on a page
+ * @param {number[]} requested - Array to push page numbers to
+ * @return {Function}
+ */
+function createLoader(items, pageSize, requested) {
+  return (page) => {
+    requested.push(page);
+
+    return Promise.resolve(items.slice((page - 1) * pageSize,
+        page * pageSize));
+  };
+}
+
+describe('Paginator', function() {
+  let items = Array.from({length: 7}, (value, index) => index + 1);
+
+  it('collects items of all pages', function() {
+    let requested = [];
+    let paginator = new Paginator(createLoader(items, 3, requested));
+
+    return paginator.toArray().then((result) => {
+      assert.deepStrictEqual(result, items);
+      assert.deepStrictEqual(requested, [1, 2, 3, 4]);
+    });
+  });
+
+  it('stops at the page shorter than page size', function() {
+    let requested = [];
+    let paginator = new Paginator(createLoader(items, 3, requested),
+        {pageSize: 3});
+
+    return paginator.toArray().then((result) => {
+      assert.deepStrictEqual(result, items);
+      assert.deepStrictEqual(requested, [1, 2, 3]);
+    });
+  });
+
+  it('starts from the page and stops after the limit', function() {
+    let requested = [];
+    let paginator = new Paginator(createLoader(items, 3, requested),
+        {page: 2, limit: 2});
+
+    return paginator.toArray().then((result) => {
+      assert.deepStrictEqual(result, [4, 5]);
+      assert.deepStrictEqual(requested, [2]);
+    });
+  });
+
+  it('requests a single page of list without pagination', function() {
+    let requested = [];
+    let paginator = new Paginator(createLoader(items, 3, requested),
+        {paginated: false});
+
+    return paginator.toArray().then((result) => {
+      assert.deepStrictEqual(result, [1, 2, 3]);
+      assert.deepStrictEqual(requested, [1]);
+    });
+  });
+
+  it('skips items not matching the filter', function() {
+    let paginator = new Paginator(createLoader(items, 3, []),
+        {filter: (item) => item % 2 == 0});
+
+    return paginator.toArray().then((result) => {
+      assert.deepStrictEqual(result, [2, 4, 6]);
+    });
+  });
+
+  it('returns items in iterator protocol format', function() {
+    let paginator = new Paginator(createLoader([1], 3, []));
+
+    return Promise.all([paginator.next(), paginator.next()])
+      .then((results) => {
+        assert.deepStrictEqual(results, [
+          {value: 1, done: false},
+          {value: undefined, done: true},
+        ]);
+      });
+  });
+
+  it('streams items', function() {
+    let paginator = new Paginator(createLoader(items, 3, []));
+    let streamed = [];
+
+    return new Promise((resolve, reject) => {
+      paginator.stream()
+        .on('data', (item) => streamed.push(item))
+        .on('error', reject)
+        .on('end', resolve);
+    }).then(() => {
+      assert.deepStrictEqual(streamed, items);
+    });
+  });
+
+  it('walks through pages of the API list', function() {
+    let environment;
+
+    return helpers.createEnvironment({socket: {autoConnect: false}})
+      .then((created) => {
+        environment = created;
+        for (let i = 0; i < 30; i++) {
+          created.server.fixtures.rooms.push({_id: `room-${i}`,
+            name: `Room ${i}`, roomUrl: `room-${i}`});
+        }
+
+        return created.api.iterateRooms({raw: true}).toArray();
+      })
+      .then((rooms) => {
+        let pages = environment.server.requests
+          .filter((request) => request.endpoint == 'rooms')
+          .map((request) => request.query.page);
+
+        assert.strictEqual(rooms.length, 31);
+        assert.deepStrictEqual(pages, ['1', '2', '3']);
+      })
+      .finally(() => helpers.destroyEnvironment(environment));
+  });
+
+  it('requests followers of the user once', function() {
+    let environment;
+
+    return helpers.createEnvironment({socket: {autoConnect: false}})
+      .then((created) => {
+        environment = created;
+        created.server.fixtures.follows.push(
+            {userid: 'user-alice', followerid: 'user-bob'},
+            {userid: 'user-alice', followerid: 'user-bot'});
+
+        return created.api.iterateUserFollowers('user-alice').toArray();
+      })
+      .then((followers) => {
+        let requests = environment.server.requests
+          .filter((request) => request.endpoint == 'userFollowers');
+
+        assert.deepStrictEqual(followers.map((user) => user._id),
+            ['user-bob', 'user-bot']);
+        assert.strictEqual(requests.length, 1);
+      })
+      .finally(() => helpers.destroyEnvironment(environment));
+  });
+});
@@ -0,0 +1,125 @@
+'use strict';
+const assert = require('assert');
+const diffPlaylist = require('../lib/common/playlist-diff').diffPlaylist;
+const helpers = require('./helpers');
+
+/**
+ * Builds raw playlist song object
+ *
+ * @param {string} id - Playlist song ID
+ * @param {string} fkid - ID of the song on youtube
+ * @return {Object}
+ */
+function playlistSong(id, fkid) {
+  return {
+    _id: id,
+    playlistid: 'playlist-favorites',
+    songid: `song-${fkid}`,
+    _song: {_id: `song-${fkid}`, type: 'youtube', fkid, name: fkid},
+  };
+}
+
+describe('playlist sync', function() {
+  describe('diffPlaylist', function() {
+    it('plans additions of missing songs and removals of extra', function() {
+      let plan = diffPlaylist([
+        playlistSong('ps-1', 'a'),
+        playlistSong('ps-2', 'b'),
+      ], [
+        {type: 'youtube', fkid: 'b'},
+        {type: 'youtube', fkid: 'c'},
+      ]);
+
+      assert.deepStrictEqual(plan.add,
+          [{type: 'youtube', fkid: 'c', title: null}]);
+      assert.deepStrictEqual(plan.remove.map((entry) => entry.fkid), ['a']);
+      assert.strictEqual(plan.unchanged, 1);
+      assert.strictEqual(plan.ordered, true);
+    });
+
+    it('keeps songs missing in manifest without pruning', function() {
+      let plan = diffPlaylist([playlistSong('ps-1', 'a')],
+          [{type: 'youtube', fkid: 'b'}], {prune: false});
+
+      assert.strictEqual(plan.add.length, 1);
+      assert.deepStrictEqual(plan.remove, []);
+    });
+
+    it('tells whether kept songs follow the manifest order', function() {
+      let plan = diffPlaylist([
+        playlistSong('ps-1', 'a'),
+        playlistSong('ps-2', 'b'),
+      ], [
+        {type: 'youtube', fkid: 'b'},
+        {type: 'youtube', fkid: 'a'},
+      ]);
+
+      assert.strictEqual(plan.ordered, false);
+    });
+  });
+
+  describe('DubtrackAPI#syncPlaylist', function() {
+    let environment;
+    let api;
+    let fixtures;
+
+    beforeEach(function() {
+      return helpers.createEnvironment({socket: {autoConnect: false}})
+        .then((created) => {
+          environment = created;
+          api = created.api;
+          fixtures = created.server.fixtures;
+
+          return helpers.waitFor(api, 'login');
+        });
+    });
+
+    afterEach(function() {
+      return helpers.destroyEnvironment(environment);
+    });
+
+    it('converges the playlist to the manifest', function() {
+      let manifest = [{type: 'youtube', fkid: 'FGBhQbmPwH8'}];
+
+      return api.syncPlaylist('playlist-favorites', manifest)
+        .then((plan) => {
+          assert.strictEqual(plan.add.length, 1);
+          assert.strictEqual(plan.remove.length, 1);
+          assert.deepStrictEqual(plan.failed, []);
+          assert.deepStrictEqual(fixtures.playlistSongs
+            .map((object) => object._song.fkid), ['FGBhQbmPwH8']);
+        });
+    });
+
+    it('removes duplicates by playlist song ID', function() {
+      let manifest = [{type: 'youtube', fkid: 'fJ9rUzIMcZQ'}];
+      let duplicate = Object.assign({}, fixtures.playlistSongs[0],
+          {_id: 'playlist-song-2'});
+      fixtures.playlistSongs.push(duplicate);
+      fixtures.playlists[0].totalItems++;
+
+      return api.syncPlaylist('playlist-favorites', manifest)
+        .then((plan) => {
+          assert.deepStrictEqual(plan.add, []);
+          assert.deepStrictEqual(plan.remove.map((entry) => entry.id),
+              ['playlist-song-2']);
+          assert.deepStrictEqual(plan.failed, []);
+          assert.deepStrictEqual(fixtures.playlistSongs
+            .map((object) => object._id), ['playlist-song-1']);
+          assert.strictEqual(fixtures.playlists[0].totalItems, 1);
+        });
+    });
+
+    it('only plans changes in dry run', function() {
+      let manifest = [{type: 'youtube', fkid: 'FGBhQbmPwH8'}];
+
+      return api.syncPlaylist('playlist-favorites', manifest, {dryRun: true})
+        .then((plan) => {
+          assert.strictEqual(plan.dryRun, true);
+          assert.strictEqual(plan.add.length, 1);
+          assert.deepStrictEqual(fixtures.playlistSongs
+            .map((object) => object._id), ['playlist-song-1']);
+        });
+    });
+  });
+});
@@ -0,0 +1,106 @@
+'use strict';
+const assert = require('assert');
+const DubtrackAPI = require('..');
+const testing = require('../testing');
+const helpers = require('./helpers');
+const Promise = require('bluebird');
+
+const errors = DubtrackAPI.errors;
+
+describe('re-authentication', function() {
+  let environment;
+  let api;
+  let server;
+
+  /**
+   * Get amount of login requests received by the server
+   *
+   * @return {number}
+   */
+  function countLogins() {
+    return server.requests
+      .filter((request) => request.endpoint == 'loginDubtrack').length;
+  }
+
+  beforeEach(function() {
+    return helpers.createEnvironment({
+      reauth: {attempts: 2, delay: 10},
+      socket: {autoConnect: false},
+    }).then((created) => {
+      environment = created;
+      api = created.api;
+      server = created.server;
+
+      return helpers.waitFor(api, 'login');
+    });
+  });
+
+  afterEach(function() {
+    return helpers.destroyEnvironment(environment);
+  });
+
+  it('logs in again and replays request when session expires', function() {
+    let events = [];
+    api.on('reauth', () => events.push('reauth'))
+      .on('login', () => events.push('login'))
+      .on('logout', () => events.push('logout'));
+    server.expireSessions();
+
+    return api.getMe({raw: true}).then((session) => {
+      assert.strictEqual(session._id, 'user-bot');
+      assert.deepStrictEqual(events, ['reauth', 'login']);
+      assert.strictEqual(api.isAuthorized(), true);
+    });
+  });
+
+  it('shares one login between concurrent requests', function() {
+    server.expireSessions();
+
+    return Promise.all([
+      api.getMe({raw: true}),
+      api.getPlaylists({raw: true}),
+      api.createPlaylist('New'),
+    ]).then(() => {
+      assert.strictEqual(countLogins(), 2);
+    });
+  });
+
+  it('emits logout once after all login attempts fail', function() {
+    let events = [];
+    api.on('reauth', () => events.push('reauth'))
+      .on('logout', () => events.push(`logout after ${countLogins()}`));
+    server.expireSessions();
+    server.override('POST', 'loginDubtrack',
+        testing.MockDubtrackServer.response(401,
+            {code: 401, message: 'Wrong credentials', data: null}));
+
+    return api.getMe().reflect().then((result) => {
+      assert.ok(result.reason() instanceof errors.AccessDeniedError);
+      assert.deepStrictEqual(events, ['reauth', 'logout after 3']);
+      assert.strictEqual(api.isAuthorized(), false);
+    });
+  });
+
+  it('does not log in again without reauth option', function() {
+    let plain = new DubtrackAPI({
+      baseApiUrl: server.url,
+      auth: {username: 'bot', password: 'secret'},
+      socket: {autoConnect: false},
+    });
+
+    return helpers.waitFor(plain, 'login')
+      .then(() => {
+        server.expireSessions();
+
+        return Promise.all([
+          helpers.waitFor(plain, 'logout'),
+          plain.getMe().reflect(),
+        ]);
+      })
+      .spread((logout, result) => {
+        assert.ok(result.reason() instanceof errors.AccessDeniedError);
+        assert.strictEqual(plain.isAuthorized(), false);
+        assert.strictEqual(countLogins(), 2);
+      });
+  });
+});
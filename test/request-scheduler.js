@@ -0,0 +1,114 @@
+'use strict';
+const assert = require('assert');
+const DubtrackAPI = require('..');
+const RequestScheduler = require('../lib/request-scheduler');
+const Promise = require('bluebird');
+
+const errors = DubtrackAPI.errors;
+
+describe('RequestScheduler', function() {
+  it('limits amount of requests in progress', function() {
+    let scheduler = new RequestScheduler({concurrency: 2});
+    let active = 0;
+    let maxActive = 0;
+    let task = () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+
+      return Promise.delay(10).then(() => {
+        active--;
+      });
+    };
+
+    return Promise.all([1, 2, 3, 4, 5].map(() => scheduler.schedule(task)))
+      .then(() => {
+        assert.strictEqual(maxActive, 2);
+        assert.strictEqual(scheduler.getStats().started, 5);
+      });
+  });
+
+  it('starts queued requests in priority order', function() {
+    let scheduler = new RequestScheduler({concurrency: 1});
+    let started = [];
+    let task = (name) => () => {
+      started.push(name);
+
+      return Promise.delay(5);
+    };
+
+    return Promise.all([
+      scheduler.schedule(task('first')),
+      scheduler.schedule(task('low'), {priority: 'low'}),
+      scheduler.schedule(task('normal')),
+      scheduler.schedule(task('high'), {priority: 'high'}),
+    ]).then(() => {
+      assert.deepStrictEqual(started, ['first', 'high', 'normal', 'low']);
+    });
+  });
+
+  it('limits rate of the endpoint group', function() {
+    let scheduler = new RequestScheduler({
+      groups: {write: {burst: 1, interval: 40}},
+    });
+    let started = Date.now();
+    let task = () => Promise.resolve(Date.now() - started);
+
+    return Promise.all([
+      scheduler.schedule(task, {group: 'write'}),
+      scheduler.schedule(task, {group: 'write'}),
+      scheduler.schedule(task),
+    ]).spread((first, second, read) => {
+      assert.ok(first < 30);
+      assert.ok(second >= 30);
+      assert.ok(read < 30);
+    });
+  });
+
+  it('resends requests rejected because of rate limit', function() {
+    let scheduler = new RequestScheduler({
+      backoff: 10,
+      groups: {read: {burst: 1, interval: 10}},
+    });
+    let attempts = 0;
+    let task = () => {
+      attempts++;
+      if (attempts == 1) {
+        return Promise.reject(new errors.RateLimitError(
+            {code: 429, message: 'Slow down', data: null}, 20));
+      }
+
+      return Promise.resolve('done');
+    };
+
+    return scheduler.schedule(task).then((result) => {
+      assert.strictEqual(result, 'done');
+      assert.strictEqual(attempts, 2);
+      assert.strictEqual(scheduler.getStats().groups.read.rateLimited, 1);
+    });
+  });
+
+  it('rejects unknown groups and priorities', function() {
+    let scheduler = new RequestScheduler();
+
+    return Promise.all([
+      scheduler.schedule(() => null, {group: 'unknown'}).reflect(),
+      scheduler.schedule(() => null, {priority: 'urgent'}).reflect(),
+    ]).then((results) => {
+      assert.ok(results.every((result) =>
+        result.reason() instanceof errors.FatalError));
+    });
+  });
+
+  it('rejects queued requests when cleared', function() {
+    let scheduler = new RequestScheduler({concurrency: 1});
+    let first = scheduler.schedule(() => Promise.delay(10));
+    let second = scheduler.schedule(() => null);
+
+    scheduler.clear();
+
+    return Promise.all([first, second.reflect()]).spread((result, queued) => {
+      assert.ok(queued.reason() instanceof errors.FatalError);
+      assert.strictEqual(scheduler.getStats().groups.read.pending, 0);
+    });
+  });
+});
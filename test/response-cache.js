@@ -0,0 +1,153 @@
+'use strict';
+const assert = require('assert');
+const ResponseCache = require('../lib/response-cache');
+const helpers = require('./helpers');
+const Promise = require('bluebird');
+
+describe('response cache', function() {
+  describe('ResponseCache', function() {
+    let alice = {_id: 'user-alice', username: 'alice'};
+
+    /**
+     * Creates loader counting its calls
+     *
+     * @param {Object} object - Loaded object
+     * @param {Object} counter - Object with `calls`
+     * @param {number} [delay=0] - Loading time in milliseconds
+     * @return {Function}
+     */
+    function createLoader(object, counter, delay = 0) {
+      return () => {
+        counter.calls++;
+
+        return Promise.delay(delay).thenReturn(object);
+      };
+    }
+
+    it('caches response under all its identifiers', function() {
+      let cache = new ResponseCache();
+      let counter = {calls: 0};
+      let load = createLoader(alice, counter);
+
+      return cache.fetch('user', 'alice', load)
+        .then(() => cache.fetch('user', 'user-alice', load))
+        .then((user) => {
+          assert.deepStrictEqual(user, alice);
+          assert.notStrictEqual(user, alice);
+          assert.strictEqual(counter.calls, 1);
+        });
+    });
+
+    it('shares the load between identical requests', function() {
+      let cache = new ResponseCache();
+      let counter = {calls: 0};
+      let load = createLoader(alice, counter, 10);
+
+      return Promise.all([
+        cache.fetch('user', 'alice', load),
+        cache.fetch('user', 'alice', load),
+      ]).then(() => {
+        assert.strictEqual(counter.calls, 1);
+      });
+    });
+
+    it('loads again after invalidation and expiration', function() {
+      let cache = new ResponseCache({ttls: {user: 20}});
+      let counter = {calls: 0};
+      let load = createLoader(alice, counter);
+
+      return cache.fetch('user', 'alice', load)
+        .then(() => cache.invalidate('user', 'user-alice'))
+        .then(() => cache.fetch('user', 'alice', load))
+        .delay(30)
+        .then(() => cache.fetch('user', 'alice', load))
+        .then(() => {
+          assert.strictEqual(counter.calls, 3);
+        });
+    });
+
+    it('does not cache response invalidated while loading', function() {
+      let cache = new ResponseCache();
+      let calls = 0;
+      let load = () => {
+        calls++;
+
+        return (calls == 1) ?
+            cache.invalidate('user', 'user-alice').thenReturn(alice) : alice;
+      };
+
+      return cache.fetch('user', 'alice', load)
+        .then(() => cache.fetch('user', 'alice', load))
+        .then(() => {
+          assert.strictEqual(calls, 2);
+        });
+    });
+
+    it('requests again when bypassed', function() {
+      let cache = new ResponseCache();
+      let counter = {calls: 0};
+      let load = createLoader(alice, counter);
+
+      return cache.fetch('user', 'alice', load)
+        .then(() => cache.fetch('user', 'alice', load, {bypass: true}))
+        .then(() => {
+          assert.strictEqual(counter.calls, 2);
+        });
+    });
+  });
+
+  describe('DubtrackAPI with cache', function() {
+    let environment;
+    let api;
+
+    /**
+     * Get amount of requests to the endpoint
+     *
+     * @param {string} endpoint - Endpoint name
+     * @return {number}
+     */
+    function countRequests(endpoint) {
+      return environment.server.requests
+        .filter((request) => request.endpoint == endpoint).length;
+    }
+
+    beforeEach(function() {
+      return helpers.createEnvironment({cache: true}).then((created) => {
+        environment = created;
+        api = created.api;
+
+        return helpers.connect(api);
+      }).then(() => api.join('lobby'));
+    });
+
+    afterEach(function() {
+      return helpers.destroyEnvironment(environment);
+    });
+
+    it('serves users and rooms from cache', function() {
+      let rooms = countRequests('room');
+
+      return api.getUser('alice')
+        .then(() => api.getUser('user-alice'))
+        .then(() => api.getRoom('room-lobby'))
+        .then(() => {
+          assert.strictEqual(countRequests('user'), 1);
+          assert.strictEqual(countRequests('room'), rooms);
+        });
+    });
+
+    it('invalidates cached room when socket reports update', function() {
+      let rooms = countRequests('room');
+      let update = helpers.waitFor(api, 'room_update');
+
+      environment.backend.publishToRoom('room-lobby',
+          {type: 'room_update', room: environment.server.fixtures.rooms[0]});
+
+      return update.delay(10)
+        .then(() => api.getRoom('lobby'))
+        .then(() => {
+          assert.strictEqual(countRequests('room'), rooms + 1);
+        });
+    });
+  });
+});
@@ -0,0 +1,187 @@
+'use strict';
+const assert = require('assert');
+const DubtrackAPI = require('..');
+const RetryPolicy = require('../lib/common/retry-policy');
+const testing = require('../testing');
+const helpers = require('./helpers');
+
+const errors = DubtrackAPI.errors;
+
+/**
+ * Builds Dubtrack error answer
+ *
+ * @param {number} code - HTTP status and Dubtrack code
+ * @return {Object}
+ */
+function errorAnswer(code) {
+  return {code, message: 'Failed', data: null};
+}
+
+describe('retry', function() {
+  describe('RetryPolicy', function() {
+    let policy = new RetryPolicy({attempts: 3});
+
+    it('retries server and network errors of idempotent requests', function() {
+      let networkError = new errors.NetworkError(
+          Object.assign(new Error('Reset'), {code: 'ECONNRESET'}));
+
+      assert.strictEqual(policy.shouldRetry(
+          new errors.DubtrackError(errorAnswer(503)).setRequest({status: 503}),
+          'GET', 1), true);
+      assert.strictEqual(policy.shouldRetry(networkError, 'delete', 2), true);
+    });
+
+    it('does not retry client errors, POST and the last attempt', function() {
+      let serverError = new errors.DubtrackError(errorAnswer(500))
+        .setRequest({status: 500});
+
+      assert.strictEqual(policy.shouldRetry(
+          new errors.NotFoundError(errorAnswer(404)).setRequest({status: 404}),
+          'GET', 1), false);
+      assert.strictEqual(policy.shouldRetry(serverError, 'POST', 1), false);
+      assert.strictEqual(policy.shouldRetry(serverError, 'GET', 3), false);
+    });
+
+    it('retries rate-limit errors of any method', function() {
+      let rateLimitError = new errors.RateLimitError(errorAnswer(429), 100)
+        .setRequest({status: 429});
+
+      assert.strictEqual(policy.shouldRetry(rateLimitError, 'POST', 1), true);
+      assert.strictEqual(policy.shouldRetry(rateLimitError, 'GET', 3), false);
+    });
+
+    it('waits at least time told by rate-limit error', function() {
+      let exact = new RetryPolicy({baseDelay: 100, jitter: 0});
+      let rateLimitError = new errors.RateLimitError(errorAnswer(429), 1500);
+
+      assert.strictEqual(exact.getDelay(1, rateLimitError), 1500);
+      assert.strictEqual(exact.getDelay(1, new errors.RateLimitError(
+          errorAnswer(429))), 100);
+    });
+
+    it('doubles delay up to the maximum', function() {
+      let exact = new RetryPolicy({baseDelay: 100, maxDelay: 300, jitter: 0});
+
+      assert.deepStrictEqual([1, 2, 3].map((attempt) =>
+        exact.getDelay(attempt)), [100, 200, 300]);
+    });
+
+    it('creates policy with overridden options', function() {
+      let extended = policy.extend({methods: ['POST']});
+
+      assert.strictEqual(extended.attempts, 3);
+      assert.deepStrictEqual(extended.methods, ['POST']);
+      assert.notStrictEqual(policy.methods, extended.methods);
+    });
+  });
+
+  describe('DubtrackAPI', function() {
+    let environment;
+    let api;
+    let server;
+
+    beforeEach(function() {
+      return helpers.createEnvironment({
+        retry: {attempts: 3, baseDelay: 5},
+        socket: {autoConnect: false},
+      }).then((created) => {
+        environment = created;
+        api = created.api;
+        server = created.server;
+
+        return helpers.waitFor(api, 'login');
+      });
+    });
+
+    afterEach(function() {
+      return helpers.destroyEnvironment(environment);
+    });
+
+    /**
+     * Makes the endpoint fail the first times
+     *
+     * @param {string} method - HTTP method
+     * @param {string} endpoint - Endpoint name
+     * @param {number} failures - Amount of failed responses
+     * @param {number} [code=503] - Status of failed responses
+     */
+    function failFirst(method, endpoint, failures, code = 503) {
+      server.override(method, endpoint, (request, fixtures) => {
+        if (failures-- > 0) {
+          return testing.MockDubtrackServer.response(code, errorAnswer(code));
+        }
+
+        server.resetOverrides();
+
+        return fixtures.users.find((user) => user.username == 'alice');
+      });
+    }
+
+    it('retries failed requests and emits retry', function() {
+      let retries = [];
+      api.on('retry', (retry) => retries.push(retry));
+      failFirst('GET', 'user', 2);
+
+      return api.getUser('alice', {raw: true}).then((user) => {
+        assert.strictEqual(user._id, 'user-alice');
+        assert.deepStrictEqual(retries.map((retry) => retry.attempt), [1, 2]);
+        assert.ok(retries[0].error instanceof errors.DubtrackError);
+      });
+    });
+
+    it('retries requests rejected because of rate limit', function() {
+      let retries = [];
+      api.on('retry', (retry) => retries.push(retry));
+      failFirst('GET', 'user', 1, 429);
+
+      return api.getUser('alice', {raw: true}).then((user) => {
+        assert.strictEqual(user._id, 'user-alice');
+        assert.strictEqual(retries.length, 1);
+        assert.ok(retries[0].error instanceof errors.RateLimitError);
+      });
+    });
+
+    it('leaves rate-limit errors to the scheduler', function() {
+      let scheduled = new DubtrackAPI({
+        baseApiUrl: server.url,
+        auth: {username: 'bot', password: 'secret'},
+        retry: {attempts: 3, baseDelay: 5},
+        scheduler: {backoff: 5, retries: 0},
+        socket: {autoConnect: false},
+      });
+      let retries = 0;
+      scheduled.on('retry', () => retries++);
+
+      return helpers.waitFor(scheduled, 'login')
+        .then(() => {
+          failFirst('GET', 'user', 1, 429);
+
+          return scheduled.getUser('alice').reflect();
+        })
+        .then((result) => {
+          assert.ok(result.reason() instanceof errors.RateLimitError);
+          assert.strictEqual(retries, 0);
+        });
+    });
+
+    it('rejects after the last attempt', function() {
+      failFirst('GET', 'user', 3);
+
+      return api.getUser('alice').then(() => {
+        assert.fail('Request should fail');
+      }, (err) => {
+        assert.strictEqual(err.status, 503);
+      });
+    });
+
+    it('does not retry when disabled for the call', function() {
+      failFirst('GET', 'user', 1);
+
+      return api.getUser('alice', {retry: false}).then(() => {
+        assert.fail('Request should fail');
+      }, (err) => {
+        assert.strictEqual(err.status, 503);
+      });
+    });
+  });
+});
@@ -0,0 +1,183 @@
+'use strict';
+const assert = require('assert');
+const DubtrackAPI = require('..');
+const helpers = require('./helpers');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Promise = require('bluebird');
+
+const sessionStores = DubtrackAPI.sessionStores;
+
+/**
+ * Resolves with data of the next save to the store
+ *
+ * @param {Object} store - Session store
+ * @return {Promise}
+ */
+function waitForSave(store) {
+  let save = store.save;
+
+  return new Promise((resolve) => {
+    store.save = (data) => {
+      store.save = save;
+
+      return save.call(store, data).then(() => resolve(data));
+    };
+  });
+}
+
+describe('session stores', function() {
+  describe('MemorySessionStore', function() {
+    it('saves, loads and clears copies of session', function() {
+      let store = new sessionStores.MemorySessionStore();
+      let data = {cookies: ['a=1']};
+
+      return store.load()
+        .then((loaded) => {
+          assert.strictEqual(loaded, null);
+
+          return store.save(data);
+        })
+        .then(() => {
+          data.cookies.push('b=2');
+
+          return store.load();
+        })
+        .then((loaded) => {
+          assert.deepStrictEqual(loaded, {cookies: ['a=1']});
+
+          return store.clear();
+        })
+        .then(() => store.load())
+        .then((loaded) => {
+          assert.strictEqual(loaded, null);
+        });
+    });
+  });
+
+  describe('FileSessionStore', function() {
+    let filePath = path.join(os.tmpdir(),
+        `dubtrack-session-${process.pid}.json`);
+
+    afterEach(function() {
+      return new sessionStores.FileSessionStore(filePath).clear();
+    });
+
+    it('keeps session in file readable only by its owner', function() {
+      let store = new sessionStores.FileSessionStore(filePath);
+
+      return store.save({cookies: ['a=1']})
+        .then(() => {
+          let mode = fs.statSync(filePath).mode & 0o777;
+          assert.strictEqual(mode, 0o600);
+
+          return new sessionStores.FileSessionStore(filePath).load();
+        })
+        .then((loaded) => {
+          assert.deepStrictEqual(loaded, {cookies: ['a=1']});
+
+          return store.clear();
+        })
+        .then(() => store.load())
+        .then((loaded) => {
+          assert.strictEqual(loaded, null);
+        });
+    });
+  });
+
+  describe('DubtrackAPI with session store', function() {
+    let environments = [];
+
+    /**
+     * Creates API sharing the mock server of the first environment
+     *
+     * @param {Object} store - Session store
+     * @return {Promise}
+     */
+    function createAPI(store) {
+      let first = environments[0];
+      if (!first) {
+        return helpers.createEnvironment({sessionStore: store,
+          socket: {autoConnect: false}}).then((created) => {
+          environments.push(created);
+
+          return created;
+        });
+      }
+
+      let environment = Object.assign({}, first, {
+        api: new DubtrackAPI({
+          baseApiUrl: first.server.url,
+          auth: {username: 'bot', password: 'secret'},
+          sessionStore: store,
+          socket: {autoConnect: false,
+            createClient: first.backend.createClient},
+        }),
+      });
+
+      return Promise.resolve(environment);
+    }
+
+    afterEach(function() {
+      let first = environments[0];
+      environments = [];
+
+      return first && helpers.destroyEnvironment(first);
+    });
+
+    it('restores saved session instead of logging in', function() {
+      let store = new sessionStores.MemorySessionStore();
+      let saved = waitForSave(store);
+      let server;
+
+      return createAPI(store)
+        .then((environment) => {
+          server = environment.server;
+
+          return saved;
+        })
+        .then(() => createAPI(store))
+        .then((environment) => helpers.waitFor(environment.api, 'login')
+          .then(() => environment.api.getMe({raw: true})))
+        .then((session) => {
+          let logins = server.requests
+            .filter((request) => request.endpoint == 'loginDubtrack');
+
+          assert.strictEqual(session._id, 'user-bot');
+          assert.strictEqual(logins.length, 1);
+          return store.load();
+        })
+        .then((loaded) => {
+          assert.ok(loaded.cookies.some((cookie) =>
+            /^connect\.sid=/.test(cookie)));
+        });
+    });
+
+    it('logs in when saved session expired', function() {
+      let store = new sessionStores.MemorySessionStore({
+        cookies: ['connect.sid=expired; Path=/'],
+      });
+
+      return createAPI(store)
+        .then((environment) => helpers.waitFor(environment.api, 'login')
+          .then(() => environment.server.requests))
+        .then((requests) => {
+          assert.deepStrictEqual(requests.map((request) => request.endpoint),
+              ['session', 'loginDubtrack']);
+        });
+    });
+
+    it('clears saved session on logout', function() {
+      let store = new sessionStores.MemorySessionStore();
+      let saved = waitForSave(store);
+
+      return createAPI(store)
+        .then((environment) => saved.then(() => environment.api.logout()))
+        .then(() => store.load())
+        .then((loaded) => {
+          assert.strictEqual(loaded, null);
+        });
+    });
+  });
+});
@@ -0,0 +1,215 @@
+'use strict';
+const assert = require('assert');
+const helpers = require('./helpers');
+const Promise = require('bluebird');
+
+describe('DubtrackSocket', function() {
+  let environment;
+  let api;
+  let backend;
+
+  /**
+   * Creates environment and connects to the socket
+   *
+   * @param {Object} [options] - Options of `DubtrackAPI`
+   * @return {Promise}
+   */
+  function setUp(options = {}) {
+    return helpers.createEnvironment(options).then((created) => {
+      environment = created;
+      api = created.api;
+      backend = created.backend;
+
+      return helpers.connect(api);
+    });
+  }
+
+  afterEach(function() {
+    return helpers.destroyEnvironment(environment);
+  });
+
+  it('reports connection states', function() {
+    let states = [];
+
+    return helpers.createEnvironment({
+      auth: {autoLogin: false},
+      socket: {autoConnect: false},
+    }).then((created) => {
+      environment = created;
+      api = created.api;
+    })
+      .then(() => {
+        assert.strictEqual(api.state, 'idle');
+        api.on('statechange', (state, previous) =>
+          states.push(`${previous}>${state}`));
+
+        return api.connect();
+      })
+      .then(() => api.disconnect())
+      .then(() => {
+        assert.deepStrictEqual(states,
+            ['idle>connecting', 'connecting>connected', 'connected>closed']);
+        assert.strictEqual(api.isConnected(), false);
+      });
+  });
+
+  it('subscribes to the channel of logged in user', function() {
+    return setUp()
+      .then(() => helpers.waitUntil(() =>
+        backend.isSubscribed('user:user-bot')))
+      .then(() => {
+        let message = helpers.waitFor(api, 'new-message');
+
+        backend.publishToUser('user-bot', {type: 'new-message',
+          messageid: 'message-1', userid: 'user-alice'});
+
+        return message;
+      })
+      .then((event) => {
+        assert.strictEqual(event.roomId, null);
+      });
+  });
+
+  it('reconnects and emits backfill of joined rooms', function() {
+    return setUp({socket: {reconnectDelay: 5}})
+      .then(() => api.join('lobby'))
+      .then(() => {
+        let reconnected = helpers.waitFor(api, 'reconnected');
+        let backfill = helpers.waitFor(api, 'backfill');
+
+        backend.dropConnections();
+
+        return Promise.all([reconnected, backfill]);
+      })
+      .then((results) => {
+        let gap = results[0];
+        let backfill = results[1];
+
+        assert.ok(gap >= 0);
+        assert.strictEqual(backfill.roomId, 'room-lobby');
+        assert.strictEqual(backfill.gap, gap);
+        assert.deepStrictEqual(backfill.users.map((user) => user.userId),
+            ['user-bot', 'user-alice', 'user-bob']);
+        assert.strictEqual(backfill.queue.length, 1);
+        assert.strictEqual(api.getHealth().reconnects, 1);
+        assert.strictEqual(backend.isSubscribed('room:room-lobby'), true);
+      });
+  });
+
+  it('backfills users of all pages of the room', function() {
+    return setUp({socket: {reconnectDelay: 5}})
+      .then(() => api.join('lobby'))
+      .then(() => {
+        for (let i = 0; i < 25; i++) {
+          environment.server.fixtures.roomUsers.push({_id: `room-user-${i}`,
+            roomid: 'room-lobby', userid: `user-${i}`, roleid: null,
+            _user: {_id: `user-${i}`, username: `user${i}`}});
+        }
+
+        let backfill = helpers.waitFor(api, 'backfill');
+        backend.dropConnections();
+
+        return backfill;
+      })
+      .then((backfill) => {
+        assert.strictEqual(backfill.users.length, 28);
+      });
+  });
+
+  it('reconnects with new token after login and backfills', function() {
+    let listeners;
+
+    return setUp()
+      .then(() => api.join('lobby'))
+      .then(() => helpers.waitUntil(() =>
+        backend.isSubscribed('user:user-bot')))
+      .then(() => {
+        listeners = api.listenerCount('statechange');
+        let reconnected = helpers.waitFor(api, 'reconnected');
+        let backfill = helpers.waitFor(api, 'backfill');
+
+        return api.login()
+          .then(() => Promise.all([reconnected, backfill]));
+      })
+      .spread((gap, backfill) => {
+        assert.strictEqual(backfill.roomId, 'room-lobby');
+        assert.strictEqual(api.state, 'connected');
+
+        return helpers.waitUntil(() =>
+          backend.isSubscribed('user:user-bot'));
+      })
+      .then(() => {
+        assert.strictEqual(api.listenerCount('statechange'), listeners);
+      });
+  });
+
+  it('stops waiting for connection closed before token update', function() {
+    let listeners;
+
+    return setUp({socket: {reconnectDelay: 1000}})
+      .then(() => helpers.waitUntil(() =>
+        backend.isSubscribed('user:user-bot')))
+      .then(() => {
+        listeners = api.listenerCount('statechange');
+        let reconnecting = helpers.waitFor(api, 'statechange');
+        backend.dropConnections();
+
+        return reconnecting;
+      })
+      .then(() => {
+        assert.strictEqual(api.state, 'reconnecting');
+
+        return api.login();
+      })
+      .delay(10)
+      .then(() => {
+        assert.strictEqual(api.listenerCount('statechange'), listeners + 1);
+
+        return api.disconnect();
+      })
+      .then(() => {
+        assert.strictEqual(api.state, 'closed');
+        assert.strictEqual(api.listenerCount('statechange'), listeners);
+      });
+  });
+
+  it('reconnects when connection stays silent', function() {
+    return setUp({socket: {heartbeat: {interval: 10, staleTimeout: 30}}})
+      .then(() => {
+        let stale = helpers.waitFor(api, 'stale');
+        let reconnected = helpers.waitFor(api, 'reconnected');
+
+        return Promise.all([stale, reconnected]);
+      })
+      .then((results) => {
+        let health = results[0];
+
+        assert.strictEqual(health.state, 'connected');
+        assert.ok(health.uptime >= 30);
+        assert.strictEqual(api.state, 'connected');
+      });
+  });
+
+  it('reports time of the last event of the channel', function() {
+    return setUp()
+      .then(() => api.join('lobby'))
+      .then(() => {
+        let message = helpers.waitFor(api, 'chat-message');
+
+        backend.publishToRoom('room-lobby', helpers.chatEvent(
+            environment.server.fixtures.users[1], 'hello'));
+
+        return message;
+      })
+      .then(() => {
+        let health = api.getHealth();
+        let channel = health.channels
+          .find((entry) => entry.name == 'room:room-lobby');
+
+        assert.strictEqual(health.state, 'connected');
+        assert.ok(health.lastEventAt);
+        assert.strictEqual(channel.lastEventAt, health.lastEventAt);
+      });
+  });
+});
+
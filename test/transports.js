@@ -0,0 +1,107 @@
+'use strict';
+const assert = require('assert');
+const DubtrackAPI = require('..');
+const testing = require('../testing');
+const helpers = require('./helpers');
+const Promise = require('bluebird');
+
+describe('WsClientTransport', function() {
+  let backend;
+  let transport;
+
+  beforeEach(function() {
+    backend = new testing.FakeSocketBackend();
+    transport = new DubtrackAPI.transports.WsClientTransport({
+      createClient: backend.createClient,
+      reconnectDelay: 5,
+    });
+  });
+
+  afterEach(function() {
+    transport.close();
+  });
+
+  it('connects with the token', function() {
+    let connected = helpers.waitFor(transport, 'connected');
+    let connection = helpers.waitFor(backend, 'connection');
+
+    transport.connect({token: 'token-1', clientId: 'user-bot'});
+
+    return Promise.all([connected, connection]).spread((result, client) => {
+      assert.strictEqual(transport.isConnected(), true);
+      assert.strictEqual(client.connection.token, 'token-1');
+      assert.strictEqual(client.connection.clientId, 'user-bot');
+    });
+  });
+
+  it('passes channel messages and presence to handlers', function() {
+    let messages = [];
+    let presence = [];
+
+    transport.connect({token: 'token-1', clientId: 'user-bot'});
+
+    return helpers.waitFor(transport, 'connected')
+      .then(() => transport.subscribe('room:room-lobby', {
+        message: (data) => messages.push(data),
+        presence: (data) => presence.push(data),
+      }))
+      .then(() => {
+        backend.publishToRoom('room-lobby', {type: 'chat-message'});
+        backend.presence('room-lobby', 'enter', {userid: 'user-bob'});
+
+        assert.deepStrictEqual(messages, [{type: 'chat-message'}]);
+        assert.deepStrictEqual(presence, [{userid: 'user-bob'}]);
+      });
+  });
+
+  it('attaches channels again after connection is restored', function() {
+    let messages = [];
+
+    transport.connect({token: 'token-1', clientId: 'user-bot'});
+
+    return helpers.waitFor(transport, 'connected')
+      .then(() => transport.subscribe('user:user-bot',
+          {message: (data) => messages.push(data)}))
+      .then(() => {
+        let disconnected = helpers.waitFor(transport, 'disconnected');
+        backend.dropConnections();
+
+        return disconnected;
+      })
+      .then(() => {
+        assert.strictEqual(backend.isSubscribed('user:user-bot'), false);
+
+        return helpers.waitFor(transport, 'connected');
+      })
+      .delay(5)
+      .then(() => {
+        backend.publishToUser('user-bot', {type: 'new-message'});
+
+        assert.deepStrictEqual(messages, [{type: 'new-message'}]);
+      });
+  });
+
+  it('stops receiving messages of unsubscribed channel', function() {
+    transport.connect({token: 'token-1', clientId: 'user-bot'});
+
+    return helpers.waitFor(transport, 'connected')
+      .then(() => transport.subscribe('room:room-lobby',
+          {message: () => assert.fail('Message should not be received')}))
+      .then(() => transport.unsubscribe('room:room-lobby'))
+      .then(() => {
+        assert.strictEqual(backend.publishToRoom('room-lobby',
+            {type: 'chat-message'}), 0);
+      });
+  });
+
+  it('emits failed when backend is offline', function() {
+    backend.offline = true;
+    let failed = helpers.waitFor(transport, 'failed');
+
+    transport.connect({token: 'token-1', clientId: 'user-bot'});
+
+    return failed.then((message) => {
+      assert.strictEqual(message, 'Backend is offline');
+    });
+  });
+});